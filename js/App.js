@@ -1,11 +1,76 @@
-import { ref, onMounted, computed } from 'vue';
-import FluidVisualizer from './components/FluidVisualizer.js';
-import { audioManager } from './services/audioManager.js';
+import { ref, onMounted, onBeforeUnmount, computed, watch } from 'vue';
+import FluidVisualizer, { DEFAULT_DYE_SEED_OPTIONS } from './components/FluidVisualizer.js';
+import PlaybackControls from './components/PlaybackControls.js';
+import DeviceMenu from './components/DeviceMenu.js';
+import PresetMenu from './components/PresetMenu.js';
+import SettingsPanel from './components/SettingsPanel.js';
+import ModulationPanel from './components/ModulationPanel.js';
+import ColorPanel from './components/ColorPanel.js';
+import RecorderControls from './components/RecorderControls.js';
+import RenderPanel from './components/RenderPanel.js';
+import StatsOverlay from './components/StatsOverlay.js';
+import TimeControls, { stepTimeScale } from './components/TimeControls.js';
+import BindingsPanel from './components/BindingsPanel.js';
+import AutoGainPanel from './components/AutoGainPanel.js';
+import SeedPanel from './components/SeedPanel.js';
+import { audioManager, createEmptyMetrics } from './services/audioManager.js';
+import { CanvasRecorder, getSupportedMimeType } from './services/recorder.js';
+import { renderOffline, isWebCodecsSupported } from './services/offlineRender.js';
+import { midiInput, isMidiSupported } from './services/midiInput.js';
+import {
+  loadBindings,
+  saveBindings,
+  createBinding,
+  createDefaultBindings,
+  getControlTarget,
+  acceptsSource,
+  sourcesMatch,
+  keySource,
+  findConfigField,
+  scaleConfigValue
+} from './services/controlBindings.js';
+import { EMITTER_LAYOUTS } from './visualizer/emitters.js';
+import { PATH_TYPES, createPathConfig, simplifyStroke } from './visualizer/motionPaths.js';
+import { SESSION_KEYS, createFluidConfig } from './visualizer/fluidConfig.js';
+import { COLOR_MODES, createColorScheme } from './visualizer/color.js';
+import { BUILT_IN_PRESETS, createPreset, parsePreset, serializePreset, loadUserPresets, saveUserPresets } from './visualizer/presets.js';
 
 /**
  * @typedef {import('./services/audioManager.js').AudioMetrics} AudioMetrics
+ * @typedef {import('./services/audioManager.js').AudioSourceType} AudioSourceType
+ * @typedef {import('./services/audioManager.js').PlaybackState} PlaybackState
+ * @typedef {import('./services/audioManager.js').AudioInputDevice} AudioInputDevice
+ * @typedef {import('./services/loudnessNormalizer.js').AutoGainOptions} AutoGainOptions
+ * @typedef {import('./visualizer/emitters.js').EmitterConfig} EmitterConfig
+ * @typedef {import('./visualizer/motionPaths.js').MotionPathType} MotionPathType
+ * @typedef {import('./visualizer/motionPaths.js').Point} Point
+ * @typedef {import('./visualizer/fluidConfig.js').FluidConfig} FluidConfig
+ * @typedef {import('./visualizer/presets.js').Preset} Preset
+ * @typedef {import('./visualizer/modulation.js').ModulationRoute} ModulationRoute
+ * @typedef {import('./visualizer/color.js').ColorScheme} ColorScheme
+ * @typedef {import('./components/RenderPanel.js').RenderRequest} RenderRequest
+ * @typedef {import('./components/RenderPanel.js').RenderProgress} RenderProgress
+ * @typedef {import('./components/FluidVisualizer.js').FrameStats} FrameStats
+ * @typedef {import('./components/FluidVisualizer.js').DyeSeedOptions} DyeSeedOptions
+ * @typedef {import('./components/FluidVisualizer.js').DyeSeedSource} DyeSeedSource
+ * @typedef {import('./services/controlBindings.js').ControlBinding} ControlBinding
+ * @typedef {import('./services/controlBindings.js').ControlTarget} ControlTarget
+ * @typedef {import('./services/controlBindings.js').BindingSource} BindingSource
+ * @typedef {import('./services/midiInput.js').MidiMessage} MidiMessage
  */
 
+const INPUT_DEVICE_STORAGE_KEY = 'echo-flume.inputDevice';
+const AUTO_GAIN_STORAGE_KEY = 'echo-flume.autoGain';
+
+// Normalised levels sit around the AGC target, which is about where a typical microphone
+// reads raw, so a trim of 1 matches the default manual gain
+const AUTO_GAIN_SCALE = 0.05;
+
+// Range the gain controls (drag, handle, MIDI, keys) cover; MIDI sweeps it exponentially like the drag
+const GAIN_RANGE = { min: 0.01, max: 10 };
+// Factor per press of the gain up/down controls
+const GAIN_STEP = 1.25;
+
 /**
  * @typedef {Object} DragState
  * @property {boolean} active
@@ -13,54 +78,910 @@ import { audioManager } from './services/audioManager.js';
  * @property {number} startY
  * @property {number} currentY
  * @property {number} startGain
+ * @property {number[]} pointerIds - Pointers whose average height sets the gain
+ */
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
  */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * @returns {string} Local date and time for file names, e.g. 2024-05-01-213005
+ */
+function fileTimestamp() {
+  const now = new Date();
+  const pad = (/** @type {number} */ n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+/**
+ * Deep copy of a built-in layout so it can be edited without touching the original
+ * @param {string} name
+ * @returns {EmitterConfig[]}
+ */
+function cloneLayout(name) {
+  return JSON.parse(JSON.stringify(EMITTER_LAYOUTS[name]));
+}
+
+/**
+ * The AudioManager's gain control settings, with any stored ones applied to it first
+ * @returns {AutoGainOptions}
+ */
+function loadAutoGainOptions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUTO_GAIN_STORAGE_KEY) || '{}');
+    /** @type {Partial<AutoGainOptions>} */
+    const options = {};
+    if (typeof stored.autoGain === 'boolean') options.autoGain = stored.autoGain;
+    for (const key of /** @type {const} */ (['autoGainTarget', 'autoGainAttack', 'autoGainRelease'])) {
+      if (Number.isFinite(stored[key]) && stored[key] > 0) options[key] = stored[key];
+    }
+    audioManager.configure(options);
+  } catch (e) {
+    console.error("Stored gain control settings are not valid JSON", e);
+  }
+  const { autoGain, autoGainTarget, autoGainAttack, autoGainRelease } = audioManager.options;
+  return { autoGain, autoGainTarget, autoGainAttack, autoGainRelease };
+}
 
 export default {
-  components: { FluidVisualizer },
+  components: { FluidVisualizer, PlaybackControls, DeviceMenu, PresetMenu, SettingsPanel, ModulationPanel, ColorPanel, RecorderControls, RenderPanel, StatsOverlay, TimeControls, BindingsPanel, AutoGainPanel, SeedPanel },
   setup() {
     const permissionGranted = ref(false);
     /** @type {import('vue').Ref<AudioMetrics>} */
-    const metrics = ref({ bass: 0, mid: 0, treble: 0, volume: 0 });
+    const metrics = ref(createEmptyMetrics());
     const gain = ref(0.05);
+    // Manual adjustment on top of the AGC, which replaces `gain` while it is on
+    const trim = ref(1);
+    /** @type {import('vue').Ref<AutoGainOptions>} */
+    const autoGainOptions = ref(loadAutoGainOptions());
+    const autoGainLevel = ref(1);
+    const showAutoGainPanel = ref(false);
+    // What the drag, MIDI and keys adjust: the trim in AGC mode, the gain otherwise
+    const gainControl = computed({
+      get: () => autoGainOptions.value.autoGain ? trim.value : gain.value,
+      set: (value) => {
+        if (autoGainOptions.value.autoGain) trim.value = value;
+        else gain.value = value;
+      }
+    });
+    const effectiveGain = computed(() => autoGainOptions.value.autoGain ? AUTO_GAIN_SCALE * trim.value : gain.value);
     /** @type {import('vue').Ref<DragState | null>} */
     const dragState = ref(null);
+    /** @type {import('vue').Ref<AudioSourceType | null>} */
+    const sourceType = ref(null);
+    const sourceLabel = ref('');
+    /** @type {import('vue').Ref<PlaybackState>} */
+    const playback = ref({ playing: false, currentTime: 0, duration: 0 });
+    const showUrlInput = ref(false);
+    const urlInput = ref('');
+    /** @type {import('vue').Ref<HTMLInputElement | null>} */
+    const fileInputRef = ref(null);
+    /** @type {import('vue').Ref<AudioInputDevice[]>} */
+    const devices = ref([]);
+    /** @type {import('vue').Ref<string | null>} */
+    const activeDeviceId = ref(null);
+    const showDeviceMenu = ref(false);
+    const emitterLayoutNames = Object.keys(EMITTER_LAYOUTS);
+    const emitterLayout = ref(emitterLayoutNames[0]);
+    /** @type {import('vue').Ref<EmitterConfig[]>} */
+    const emitters = ref(cloneLayout(emitterLayout.value));
+    /** @type {import('vue').Ref<MotionPathType | null>} */
+    const pathType = ref(null);
+    const drawMode = ref(false);
+    /** @type {import('vue').Ref<Point[]>} Stroke being drawn, in client pixels */
+    const drawStroke = ref([]);
+    const visualizerRef = ref(null);
+    /** @type {import('vue').Ref<FluidConfig>} */
+    const fluidConfig = ref(createFluidConfig());
+    /** @type {import('vue').Ref<Preset[]>} */
+    const userPresets = ref(loadUserPresets());
+    const presets = computed(() => [...BUILT_IN_PRESETS, ...userPresets.value]);
+    /** @type {import('vue').Ref<string | null>} */
+    const activePreset = ref(BUILT_IN_PRESETS[0].name);
+    const showPresetMenu = ref(false);
+    const showSettings = ref(false);
+    const showStats = ref(false);
+    /** @type {import('vue').Ref<FrameStats | null>} */
+    const frameStats = ref(null);
+    /** @type {import('vue').Ref<ModulationRoute[]>} */
+    const modulation = ref([]);
+    const showModulation = ref(false);
+    /** @type {import('vue').Ref<ColorScheme>} */
+    const colorScheme = ref(createColorScheme());
+    const showColor = ref(false);
+    const recorder = new CanvasRecorder();
+    const recordingSupported = !!getSupportedMimeType();
+    const recording = ref(false);
+    const recordingDuration = ref(0);
+    let recordingTimer = null;
+    const showRenderPanel = ref(false);
+    const videoRenderSupported = isWebCodecsSupported();
+    /** @type {import('vue').Ref<RenderProgress | null>} */
+    const renderProgress = ref(null);
+    /** @type {AbortController | null} */
+    let renderAbort = null;
+    /** @type {Map<number, Point>} Pointers currently down, in client pixels */
+    const pointers = new Map();
+    let metricsLoopRunning = false;
+    let metricsFrameId = 0;
+
+    const unsubscribeDeviceChange = audioManager.on('devicechange', (e) => {
+      devices.value = e.devices;
+      activeDeviceId.value = e.deviceId;
+      sourceType.value = audioManager.sourceType;
+      sourceLabel.value = audioManager.sourceLabel;
+    });
+
+    onBeforeUnmount(() => {
+      unsubscribeDeviceChange();
+      clearInterval(recordingTimer);
+      recorder.stop();
+      renderAbort?.abort();
+      cancelAnimationFrame(metricsFrameId);
+      metricsLoopRunning = false;
+      // Closes the microphone and the AudioContext; the manager can start again on a later mount
+      audioManager.cleanup().catch(e => console.error("Audio cleanup failed", e));
+    });
+
+    const isPlaybackSource = computed(() => sourceType.value === 'file' || sourceType.value === 'url');
 
     const updateMetrics = () => {
-      if (!audioManager.isInitialized) return;
+      if (!audioManager.isInitialized) {
+        metricsLoopRunning = false;
+        return;
+      }
       const m = audioManager.getMetrics();
       metrics.value = m;
-      requestAnimationFrame(updateMetrics);
+      if (showAutoGainPanel.value) autoGainLevel.value = audioManager.getAutoGain();
+      if (isPlaybackSource.value) playback.value = audioManager.getPlaybackState();
+      metricsFrameId = requestAnimationFrame(updateMetrics);
+    };
+
+    /**
+     * Run a source switch on the AudioManager and start the metrics loop
+     * @param {() => Promise<void>} start
+     */
+    const startSource = async (start) => {
+      await start();
+      permissionGranted.value = true;
+      sourceType.value = audioManager.sourceType;
+      sourceLabel.value = audioManager.sourceLabel;
+      activeDeviceId.value = audioManager.deviceId;
+      if (!metricsLoopRunning) {
+        metricsLoopRunning = true;
+        updateMetrics();
+      }
     };
 
     const handleStart = async () => {
+      let deviceId = null;
       try {
-        await audioManager.initialize();
-        permissionGranted.value = true;
-        updateMetrics();
+        deviceId = localStorage.getItem(INPUT_DEVICE_STORAGE_KEY);
+      } catch (e) {
+        console.error("Could not read the saved input device", e);
+      }
+      await handleUseMicrophone(deviceId);
+    };
+
+    /**
+     * @param {string | null} [deviceId]
+     */
+    const handleUseMicrophone = async (deviceId = activeDeviceId.value) => {
+      try {
+        await startSource(() => audioManager.useMicrophone(deviceId));
       } catch (e) {
         console.error("Microphone access required", e);
       }
     };
 
     /**
+     * @param {string} deviceId
+     */
+    const handleSelectDevice = async (deviceId) => {
+      showDeviceMenu.value = false;
+      try {
+        localStorage.setItem(INPUT_DEVICE_STORAGE_KEY, deviceId);
+      } catch (e) {
+        console.error("Could not save the input device", e);
+      }
+      await handleUseMicrophone(deviceId);
+    };
+
+    /**
+     * @param {File} file
+     */
+    const startFile = async (file) => {
+      if (!file) return;
+      try {
+        await startSource(() => audioManager.useFile(file));
+      } catch (e) {
+        console.error("Could not play audio file", e);
+      }
+    };
+
+    const handleOpenFile = () => {
+      fileInputRef.value?.click();
+    };
+
+    /**
+     * @param {Event} e
+     */
+    const handleFileChange = (e) => {
+      const input = /** @type {HTMLInputElement} */ (e.target);
+      startFile(input.files?.[0]);
+      input.value = '';
+    };
+
+    /**
+     * @param {DragEvent} e
+     */
+    const handleDrop = (e) => {
+      const file = Array.from(e.dataTransfer?.files || []).find(f => f.type.startsWith('audio/'));
+      startFile(file);
+    };
+
+    const handleUrlSubmit = async () => {
+      const url = urlInput.value.trim();
+      if (!url) return;
+      try {
+        await startSource(() => audioManager.useUrl(url));
+        showUrlInput.value = false;
+      } catch (e) {
+        console.error("Could not play audio URL", e);
+      }
+    };
+
+    const handleCycleEmitterLayout = () => {
+      const index = emitterLayoutNames.indexOf(emitterLayout.value);
+      emitterLayout.value = emitterLayoutNames[(index + 1) % emitterLayoutNames.length];
+      emitters.value = cloneLayout(emitterLayout.value);
+      pathType.value = null;
+      activePreset.value = null;
+    };
+
+    /**
+     * Move every emitter onto a new path type, keeping its centre, phase and audio speed control
+     * @param {MotionPathType} type
+     * @param {Partial<import('./visualizer/motionPaths.js').MotionPathConfig>} [overrides]
+     */
+    const setPathType = (type, overrides = {}) => {
+      pathType.value = type;
+      activePreset.value = null;
+      emitters.value = emitters.value.map(emitter => {
+        const { centerX, centerY, phase, speedModulation } = emitter.path;
+        const carried = Object.fromEntries(
+          Object.entries({ centerX, centerY, phase, speedModulation }).filter(([, value]) => value !== undefined)
+        );
+        return { ...emitter, path: createPathConfig(type, { ...carried, ...overrides }) };
+      });
+    };
+
+    const handleCyclePathType = () => {
+      // Freehand splines come from DRAW, so the cycle skips them
+      const types = PATH_TYPES.filter(type => type !== 'spline');
+      const index = types.indexOf(pathType.value);
+      setPathType(types[(index + 1) % types.length]);
+    };
+
+    /**
+     * @param {HTMLElement} container
+     */
+    const finishDrawing = (container) => {
+      const rect = container.getBoundingClientRect();
+      const points = simplifyStroke(drawStroke.value.map(point => ({
+        x: (point.x - rect.left) / rect.width,
+        y: 1 - (point.y - rect.top) / rect.height
+      })));
+      drawStroke.value = [];
+      drawMode.value = false;
+      if (points.length < 3) return;
+
+      // One lap every ~8 seconds; emitters are spread evenly along the loop
+      const count = emitters.value.length;
+      setPathType('spline', { points, speed: points.length / 8 });
+      emitters.value = emitters.value.map((emitter, i) => ({
+        ...emitter,
+        path: { ...emitter.path, phase: (i / count) * points.length }
+      }));
+    };
+
+    /**
+     * @param {Preset} preset
+     */
+    const applyPreset = (preset) => {
+      const { config, emitters: presetEmitters, modulation: routes, colorScheme: scheme } = JSON.parse(JSON.stringify(preset));
+      const current = fluidConfig.value;
+      const session = Object.fromEntries(SESSION_KEYS.map(key => [key, current[key]]));
+      fluidConfig.value = { ...config, ...session };
+      emitters.value = presetEmitters;
+      modulation.value = routes;
+      colorScheme.value = scheme;
+      emitterLayout.value = 'custom';
+      pathType.value = null;
+      activePreset.value = preset.name;
+    };
+
+    /**
+     * @param {Preset} preset
+     */
+    const handleSelectPreset = (preset) => {
+      applyPreset(preset);
+      showPresetMenu.value = false;
+    };
+
+    /**
+     * @param {Preset} preset
+     */
+    const storeUserPreset = (preset) => {
+      // Saving under an existing name replaces that preset
+      userPresets.value = [...userPresets.value.filter(p => p.name !== preset.name), preset];
+      persistUserPresets();
+    };
+
+    const persistUserPresets = () => {
+      try {
+        saveUserPresets(userPresets.value);
+      } catch (e) {
+        console.error("Could not save presets", e);
+      }
+    };
+
+    /**
+     * @param {string} name
+     */
+    const handleSavePreset = (name) => {
+      storeUserPreset(createPreset(name, fluidConfig.value, emitters.value, modulation.value, colorScheme.value));
+      activePreset.value = name;
+    };
+
+    /**
+     * @param {Preset} preset
+     */
+    const handleDeletePreset = (preset) => {
+      userPresets.value = userPresets.value.filter(p => p.name !== preset.name);
+      persistUserPresets();
+    };
+
+    const handleExportPreset = () => {
+      const name = activePreset.value || 'Untitled';
+      const json = serializePreset(createPreset(name, fluidConfig.value, emitters.value, modulation.value, colorScheme.value));
+      downloadBlob(new Blob([json], { type: 'application/json' }), `${name.replace(/[^\w.-]+/g, '-')}.json`);
+    };
+
+    /**
+     * @param {File} file
+     */
+    const handleImportPreset = async (file) => {
+      try {
+        const preset = parsePreset(JSON.parse(await file.text()));
+        storeUserPreset(preset);
+        applyPreset(preset);
+        showPresetMenu.value = false;
+      } catch (e) {
+        console.error("Could not import preset", e);
+      }
+    };
+
+    /**
+     * @param {keyof FluidConfig} key
+     * @param {FluidConfig[keyof FluidConfig]} value
+     */
+    const handleConfigUpdate = (key, value) => {
+      fluidConfig.value = { ...fluidConfig.value, [key]: value };
+      activePreset.value = null;
+    };
+
+    // A transparent canvas only composites over other content (e.g. as an OBS browser source) if the page is transparent too
+    watch(() => fluidConfig.value.TRANSPARENT, (transparent) => {
+      document.documentElement.classList.toggle('transparent', transparent);
+    }, { immediate: true });
+
+    /**
+     * @param {ModulationRoute[]} routes
+     */
+    const handleModulationUpdate = (routes) => {
+      modulation.value = routes;
+      activePreset.value = null;
+    };
+
+    /**
+     * @param {ColorScheme} scheme
+     */
+    const handleColorSchemeUpdate = (scheme) => {
+      colorScheme.value = scheme;
+      activePreset.value = null;
+    };
+
+    const startRecording = () => {
+      const canvas = visualizerRef.value?.getCanvas();
+      if (!canvas) return;
+      try {
+        recorder.start(canvas, audioManager.getInputStream());
+      } catch (e) {
+        console.error("Could not start recording", e);
+        return;
+      }
+      recording.value = true;
+      recordingDuration.value = 0;
+      recordingTimer = setInterval(() => {
+        recordingDuration.value = recorder.getDuration();
+      }, 250);
+    };
+
+    const stopRecording = async () => {
+      clearInterval(recordingTimer);
+      recording.value = false;
+      const blob = await recorder.stop();
+      if (blob?.size) downloadBlob(blob, `echo-flume-${fileTimestamp()}.webm`);
+    };
+
+    const handleToggleRecording = () => {
+      if (recording.value) stopRecording();
+      else startRecording();
+    };
+
+    /**
+     * @param {RenderRequest} request
+     */
+    const handleStartRender = async ({ file, fps, width, height, format }) => {
+      const target = visualizerRef.value;
+      if (!target || renderProgress.value) return;
+
+      // Long PNG sequences go straight to a folder where the browser allows it, instead of a ZIP in memory.
+      // The picker has to open before the first await so it still counts as part of the click.
+      let directory = null;
+      if (format === 'png' && 'showDirectoryPicker' in window) {
+        try {
+          directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (e) {
+          return; // Picker dismissed
+        }
+      }
+
+      renderAbort = new AbortController();
+      renderProgress.value = { stage: 'analysing', progress: 0 };
+      try {
+        const output = await renderOffline({
+          file,
+          target,
+          // A null rate means the device's, which the live context knows
+          analysisOptions: {
+            ...audioManager.options,
+            sampleRate: audioManager.options.sampleRate ?? audioManager.getAudioContext()?.sampleRate ?? null
+          },
+          fps,
+          width,
+          height,
+          format,
+          directory,
+          signal: renderAbort.signal,
+          onProgress: (stage, progress) => {
+            renderProgress.value = { stage, progress };
+          }
+        });
+        if (output) {
+          const name = file.name.replace(/\.[^.]+$/, '');
+          downloadBlob(output, `${name}-${fps}fps.${format === 'webm' ? 'webm' : 'zip'}`);
+        }
+      } catch (e) {
+        if (e.name !== 'AbortError') console.error("Offline render failed", e);
+      } finally {
+        renderProgress.value = null;
+        renderAbort = null;
+      }
+    };
+
+    /**
+     * @param {Partial<AutoGainOptions>} changes
+     */
+    const handleAutoGainUpdate = (changes) => {
+      audioManager.configure(changes);
+      autoGainOptions.value = { ...autoGainOptions.value, ...changes };
+      try {
+        localStorage.setItem(AUTO_GAIN_STORAGE_KEY, JSON.stringify(autoGainOptions.value));
+      } catch (e) {
+        console.error("Could not save gain control settings", e);
+      }
+    };
+
+    const handleCancelRender = () => {
+      renderAbort?.abort();
+    };
+
+    const handleSnapshot = async () => {
+      const target = visualizerRef.value;
+      if (!target) return;
+      try {
+        downloadBlob(await target.captureSnapshot(), `echo-flume-${fileTimestamp()}.png`);
+      } catch (e) {
+        console.error("Snapshot failed", e);
+      }
+    };
+
+    const handleTogglePause = () => {
+      fluidConfig.value = { ...fluidConfig.value, PAUSED: !fluidConfig.value.PAUSED };
+    };
+
+    const handleStepFrame = () => {
+      visualizerRef.value?.stepFrame();
+    };
+
+    /**
+     * @param {number} scale
+     */
+    const handleTimeScale = (scale) => {
+      handleConfigUpdate('TIME_SCALE', scale);
+    };
+
+    /**
+     * @param {1 | -1} direction
+     */
+    const cyclePreset = (direction) => {
+      const list = presets.value;
+      if (!list.length) return;
+      const index = list.findIndex(preset => preset.name === activePreset.value);
+      // From a custom state, "next" starts at the first preset and "previous" at the last
+      const next = index === -1
+        ? (direction > 0 ? 0 : list.length - 1)
+        : (index + direction + list.length) % list.length;
+      applyPreset(list[next]);
+    };
+
+    /**
+     * Carry out a bound control
+     * @param {ControlTarget} target
+     * @param {number} value - 0-1 for continuous controls; ignored by triggers
+     */
+    const runControl = (target, value) => {
+      const scale = fluidConfig.value.TIME_SCALE;
+      switch (target.action) {
+        case 'gain':
+          gainControl.value = GAIN_RANGE.min * Math.pow(GAIN_RANGE.max / GAIN_RANGE.min, value);
+          break;
+        case 'gain-up':
+          gainControl.value = Math.min(GAIN_RANGE.max, gainControl.value * GAIN_STEP);
+          break;
+        case 'gain-down':
+          gainControl.value = Math.max(GAIN_RANGE.min, gainControl.value / GAIN_STEP);
+          break;
+        case 'preset-next':
+          cyclePreset(1);
+          break;
+        case 'preset-previous':
+          cyclePreset(-1);
+          break;
+        case 'color-mode-next': {
+          const index = COLOR_MODES.indexOf(colorScheme.value.mode);
+          handleColorSchemeUpdate({ ...colorScheme.value, mode: COLOR_MODES[(index + 1) % COLOR_MODES.length] });
+          break;
+        }
+        case 'emitters-next':
+          handleCycleEmitterLayout();
+          break;
+        case 'path-next':
+          handleCyclePathType();
+          break;
+        case 'pause':
+          handleTogglePause();
+          break;
+        case 'step':
+          handleStepFrame();
+          break;
+        case 'time-slower':
+          handleTimeScale(stepTimeScale(scale, -1));
+          break;
+        case 'time-faster':
+          handleTimeScale(stepTimeScale(scale, 1));
+          break;
+        case 'time-reset':
+          handleTimeScale(1);
+          break;
+        case 'config': {
+          const field = findConfigField(target.param);
+          if (!field) break;
+          if (field.control === 'toggle') handleConfigUpdate(field.key, !fluidConfig.value[field.key]);
+          else handleConfigUpdate(field.key, scaleConfigValue(field, value));
+          break;
+        }
+      }
+    };
+
+    const bindings = ref(loadBindings());
+    /** @type {import('vue').Ref<ControlTarget | null>} */
+    const learning = ref(null);
+    const showBindings = ref(false);
+    const midiSupported = isMidiSupported();
+    const midiEnabled = ref(false);
+    /** @type {import('vue').Ref<string[]>} */
+    const midiInputs = ref([]);
+    /** @type {Map<string, number>} Last value of each CC, so buttons sending CC fire once per press */
+    const ccValues = new Map();
+
+    /**
+     * @param {ControlBinding[]} next
+     */
+    const updateBindings = (next) => {
+      bindings.value = next;
+      try {
+        saveBindings(next);
+      } catch (e) {
+        console.error("Could not save control bindings", e);
+      }
+    };
+
+    /**
+     * Route one key press or MIDI message: bind it when learning, otherwise run whatever it is bound to
+     * @param {BindingSource} source
+     * @param {number} value - 0-1
+     * @param {boolean} pressed - Whether this counts as a press for triggers
+     * @returns {boolean} Whether anything used the input
+     */
+    const handleControlInput = (source, value, pressed) => {
+      if (learning.value) {
+        if (!pressed && source.type !== 'cc') return false;
+        if (!acceptsSource(learning.value, source)) return false;
+        // A source drives one control; learning it again moves it
+        updateBindings([...bindings.value.filter(b => !sourcesMatch(b.source, source)), createBinding(source, learning.value)]);
+        learning.value = null;
+        return true;
+      }
+
+      let handled = false;
+      for (const binding of bindings.value) {
+        if (!sourcesMatch(binding.source, source)) continue;
+        const target = getControlTarget(binding.action, binding.param);
+        if (!target) continue;
+        if (target.kind === 'continuous') runControl(target, value);
+        else if (pressed) runControl(target, value);
+        handled = true;
+      }
+      return handled;
+    };
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    const handleKeyDown = (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      if (e.ctrlKey || e.metaKey || e.altKey || target.isContentEditable || /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName)) return;
+
+      if (learning.value && e.key === 'Escape') {
+        learning.value = null;
+        return;
+      }
+      if (e.repeat && !learning.value) return;
+      if (handleControlInput(keySource(e), 1, true)) e.preventDefault();
+    };
+
+    /**
+     * @param {MidiMessage} message
+     */
+    const handleMidiMessage = ({ source, value }) => {
+      let pressed = value > 0;
+      if (source.type === 'cc') {
+        const key = `${source.channel}:${source.number}`;
+        const previous = ccValues.get(key) ?? 0;
+        ccValues.set(key, value);
+        pressed = value >= 0.5 && previous < 0.5;
+      }
+      handleControlInput(source, value, pressed);
+    };
+
+    const unsubscribeMidiMessage = midiInput.on('message', handleMidiMessage);
+    const unsubscribeMidiInputs = midiInput.on('inputs', (/** @type {string[]} */ names) => {
+      midiInputs.value = names;
+    });
+
+    const handleEnableMidi = async () => {
+      try {
+        await midiInput.enable();
+        midiEnabled.value = true;
+        midiInputs.value = midiInput.getInputNames();
+      } catch (e) {
+        console.error("Could not enable MIDI", e);
+      }
+    };
+
+    /**
+     * @param {ControlTarget} target
+     */
+    const handleLearn = (target) => {
+      learning.value = target;
+    };
+
+    /**
+     * @param {ControlBinding} binding
+     */
+    const handleRemoveBinding = (binding) => {
+      updateBindings(bindings.value.filter(b => b.id !== binding.id));
+    };
+
+    const handleResetBindings = () => {
+      learning.value = null;
+      updateBindings(createDefaultBindings());
+    };
+
+    const showSeedPanel = ref(false);
+    /** @type {import('vue').Ref<Required<DyeSeedOptions>>} */
+    const seedOptions = ref({ ...DEFAULT_DYE_SEED_OPTIONS });
+    const seedLabel = ref('');
+    const cameraSupported = !!navigator.mediaDevices?.getUserMedia;
+    // The loaded seed source, and what has to be released along with it
+    /** @type {DyeSeedSource | null} */
+    let seedSource = null;
+    /** @type {string | null} */
+    let seedObjectUrl = null;
+    /** @type {MediaStream | null} */
+    let seedStream = null;
+
+    const releaseSeedSource = () => {
+      visualizerRef.value?.stopSeeding();
+      if (seedSource instanceof HTMLVideoElement) {
+        seedSource.pause();
+        seedSource.removeAttribute('src');
+        seedSource.load();
+      }
+      if (seedObjectUrl) URL.revokeObjectURL(seedObjectUrl);
+      seedStream?.getTracks().forEach(track => track.stop());
+      seedSource = null;
+      seedObjectUrl = null;
+      seedStream = null;
+      seedLabel.value = '';
+    };
+
+    const startSeeding = () => {
+      if (seedSource) visualizerRef.value?.seedDye(seedSource, seedOptions.value);
+    };
+
+    /**
+     * @param {DyeSeedSource} source
+     * @param {string} label
+     */
+    const useSeedSource = (source, label) => {
+      seedSource = source;
+      seedLabel.value = label;
+      startSeeding();
+    };
+
+    /**
+     * @param {File} file - An image or a video
+     */
+    const handleSeedFile = (file) => {
+      releaseSeedSource();
+      seedObjectUrl = URL.createObjectURL(file);
+      if (file.type.startsWith('video/')) {
+        const video = document.createElement('video');
+        // The visuals follow the analysed audio, not the video's own soundtrack
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.src = seedObjectUrl;
+        video.play().catch(e => console.error("Could not play seed video", e));
+        useSeedSource(video, file.name);
+      } else {
+        const image = new Image();
+        image.src = seedObjectUrl;
+        useSeedSource(image, file.name);
+      }
+    };
+
+    const handleSeedCamera = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+        releaseSeedSource();
+        seedStream = stream;
+        useSeedSource(stream, stream.getVideoTracks()[0]?.label || 'Camera');
+      } catch (e) {
+        console.error("Camera access failed", e);
+      }
+    };
+
+    /**
+     * @param {Partial<DyeSeedOptions>} changes
+     */
+    const handleSeedOptionsUpdate = (changes) => {
+      seedOptions.value = { ...seedOptions.value, ...changes };
+      // Continuous seeding picks up new options straight away; a one-off waits for SEED
+      if (seedOptions.value.continuous) startSeeding();
+      else visualizerRef.value?.stopSeeding();
+    };
+
+    onMounted(() => window.addEventListener('keydown', handleKeyDown));
+    onBeforeUnmount(() => {
+      releaseSeedSource();
+      window.removeEventListener('keydown', handleKeyDown);
+      unsubscribeMidiMessage();
+      unsubscribeMidiInputs();
+      midiInput.disable();
+    });
+
+    const handleTogglePlayback = async () => {
+      if (audioManager.getPlaybackState().playing) audioManager.pause();
+      else await audioManager.play();
+      playback.value = audioManager.getPlaybackState();
+    };
+
+    /**
+     * @param {number} time
+     */
+    const handleSeek = (time) => {
+      audioManager.seek(time);
+      playback.value = audioManager.getPlaybackState();
+    };
+
+    /**
+     * @param {number[]} pointerIds
+     * @returns {Point}
+     */
+    const averagePointer = (pointerIds) => {
+      const tracked = pointerIds.map(id => pointers.get(id)).filter(Boolean);
+      return {
+        x: tracked.reduce((sum, p) => sum + p.x, 0) / tracked.length,
+        y: tracked.reduce((sum, p) => sum + p.y, 0) / tracked.length
+      };
+    };
+
+    /**
+     * Start a gain drag controlled by the given pointers
+     * @param {number[]} pointerIds
+     */
+    const startGainDrag = (pointerIds) => {
+      const { x, y } = averagePointer(pointerIds);
+      dragState.value = {
+        active: true,
+        startX: x,
+        startY: y,
+        currentY: y,
+        startGain: gainControl.value,
+        pointerIds
+      };
+    };
+
+    /**
+     * The on-screen gain handle, for when a second finger isn't available
+     * @param {PointerEvent} e
+     */
+    const handleGainHandleDown = (e) => {
+      e.preventDefault();
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      startGainDrag([e.pointerId]);
+      // Moves and the release bubble up to the root handlers
+      /** @type {HTMLElement} */ (e.currentTarget).setPointerCapture(e.pointerId);
+    };
+
+    /**
+     * One pointer stirs the fluid, two pointers dragged vertically set the gain
      * @param {PointerEvent} e
      */
     const handlePointerDown = (e) => {
       e.preventDefault();
 
       if (!permissionGranted.value) return;
-      if (!e.isPrimary) return;
 
-      dragState.value = {
-        active: true,
-        startX: e.clientX,
-        startY: e.clientY,
-        currentY: e.clientY,
-        startGain: gain.value
-      };
+      if (drawMode.value) {
+        if (!e.isPrimary) return;
+        drawStroke.value = [{ x: e.clientX, y: e.clientY }];
+        e.currentTarget.setPointerCapture(e.pointerId);
+        return;
+      }
 
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
       // Capture the pointer to the main container
       e.currentTarget.setPointerCapture(e.pointerId);
+
+      if (pointers.size === 2 && !dragState.value) startGainDrag([...pointers.keys()]);
     };
 
     /**
@@ -69,16 +990,36 @@ export default {
     const handlePointerMove = (e) => {
       e.preventDefault();
 
-      if (!dragState.value?.active) return;
+      if (drawMode.value && drawStroke.value.length) {
+        drawStroke.value = [...drawStroke.value, { x: e.clientX, y: e.clientY }];
+        return;
+      }
 
-      const deltaY = dragState.value.startY - e.clientY;
-      // Exponential scaling: Dragging up (positive delta) increases gain significantly but smoothly
-      // Sensitivity: 300px move ~ 4.5x change
-      const sensitivity = 0.005;
-      const newGain = Math.max(0.1, dragState.value.startGain * Math.exp(deltaY * sensitivity));
+      const previous = pointers.get(e.pointerId);
+      if (!previous) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      // No stirring from the moment a gain drag starts until every finger is up
+      if (dragState.value) {
+        if (!dragState.value.active || !dragState.value.pointerIds.includes(e.pointerId)) return;
+        const currentY = averagePointer(dragState.value.pointerIds).y;
+        const deltaY = dragState.value.startY - currentY;
+        // Exponential scaling: Dragging up (positive delta) increases gain significantly but smoothly
+        // Sensitivity: 300px move ~ 4.5x change
+        const sensitivity = 0.005;
+        gainControl.value = Math.min(GAIN_RANGE.max, Math.max(GAIN_RANGE.min, dragState.value.startGain * Math.exp(deltaY * sensitivity)));
+        dragState.value = { ...dragState.value, currentY };
+        return;
+      }
 
-      gain.value = newGain;
-      dragState.value = { ...dragState.value, currentY: e.clientY };
+      // Stir: normalized position and movement, y up to match the simulation
+      const rect = e.currentTarget.getBoundingClientRect();
+      visualizerRef.value?.stir({
+        x: (e.clientX - rect.left) / rect.width,
+        y: 1 - (e.clientY - rect.top) / rect.height,
+        dx: (e.clientX - previous.x) / rect.width,
+        dy: (previous.y - e.clientY) / rect.height
+      });
     };
 
     /**
@@ -86,13 +1027,21 @@ export default {
      */
     const handlePointerUp = (e) => {
       e.preventDefault();
-      if (dragState.value?.active) {
-        dragState.value = null;
-        try {
-          e.currentTarget.releasePointerCapture(e.pointerId);
-        } catch (err) {
-          // Ignore if capture was already lost
-        }
+      if (drawMode.value && drawStroke.value.length) {
+        finishDrawing(e.currentTarget);
+      }
+
+      pointers.delete(e.pointerId);
+      // The gain drag ends with its first lifted finger; stirring resumes once every finger is up
+      if (dragState.value?.pointerIds.includes(e.pointerId)) {
+        dragState.value = { ...dragState.value, active: false };
+      }
+      if (dragState.value && pointers.size === 0) dragState.value = null;
+
+      try {
+        e.currentTarget.releasePointerCapture(e.pointerId);
+      } catch (err) {
+        // Ignore if capture was already lost
       }
     };
 
@@ -100,8 +1049,92 @@ export default {
       permissionGranted,
       metrics,
       gain,
+      gainControl,
+      effectiveGain,
+      autoGainOptions,
+      autoGainLevel,
+      showAutoGainPanel,
+      handleAutoGainUpdate,
       dragState,
+      sourceType,
+      sourceLabel,
+      playback,
+      showUrlInput,
+      urlInput,
+      fileInputRef,
+      devices,
+      activeDeviceId,
+      showDeviceMenu,
+      emitterLayout,
+      emitters,
+      pathType,
+      drawMode,
+      drawStroke,
+      visualizerRef,
+      fluidConfig,
+      presets,
+      activePreset,
+      showPresetMenu,
+      showSettings,
+      showStats,
+      frameStats,
+      modulation,
+      showModulation,
+      colorScheme,
+      showColor,
+      recordingSupported,
+      recording,
+      recordingDuration,
+      showRenderPanel,
+      videoRenderSupported,
+      renderProgress,
+      isPlaybackSource,
       handleStart,
+      handleUseMicrophone,
+      handleSelectDevice,
+      handleOpenFile,
+      handleFileChange,
+      handleDrop,
+      handleUrlSubmit,
+      handleCycleEmitterLayout,
+      handleCyclePathType,
+      handleSelectPreset,
+      handleSavePreset,
+      handleDeletePreset,
+      handleExportPreset,
+      handleImportPreset,
+      handleConfigUpdate,
+      handleModulationUpdate,
+      handleColorSchemeUpdate,
+      handleToggleRecording,
+      handleStartRender,
+      handleCancelRender,
+      handleSnapshot,
+      handleTogglePause,
+      handleStepFrame,
+      handleTimeScale,
+      bindings,
+      learning,
+      showBindings,
+      midiSupported,
+      midiEnabled,
+      midiInputs,
+      handleEnableMidi,
+      handleLearn,
+      handleRemoveBinding,
+      handleResetBindings,
+      showSeedPanel,
+      seedOptions,
+      seedLabel,
+      cameraSupported,
+      releaseSeedSource,
+      startSeeding,
+      handleSeedFile,
+      handleSeedCamera,
+      handleSeedOptionsUpdate,
+      handleTogglePlayback,
+      handleSeek,
+      handleGainHandleDown,
       handlePointerDown,
       handlePointerMove,
       handlePointerUp
@@ -109,19 +1142,22 @@ export default {
   },
   template: `
     <div
-      class="relative w-full h-screen bg-black text-white overflow-hidden touch-none select-none"
+      class="relative w-full h-screen text-white overflow-hidden touch-none select-none"
+      :class="fluidConfig.TRANSPARENT ? 'bg-transparent' : 'bg-black'"
       @pointerdown="handlePointerDown"
       @pointermove="handlePointerMove"
       @pointerup="handlePointerUp"
       @pointercancel="handlePointerUp"
+      @dragover.prevent
+      @drop.prevent="handleDrop"
     >
       <div class="absolute inset-0">
-        <FluidVisualizer :audioMetrics="metrics" :gain="gain" />
+        <FluidVisualizer ref="visualizerRef" :audioMetrics="metrics" :gain="effectiveGain" :emitters="emitters" :config="fluidConfig" :modulation="modulation" :colorScheme="colorScheme" :stats="showStats" @stats="frameStats = $event" />
       </div>
 
       <!-- Futuristic Recessed Gain Slider UI -->
       <div
-        v-if="dragState"
+        v-if="dragState?.active"
         class="absolute pointer-events-none z-50 mix-blend-screen"
         :style="{
           left: dragState.startX + 'px',
@@ -164,14 +1200,245 @@ export default {
         </div>
       </div>
 
+      <!-- On-screen gain handle and gain control mode -->
+      <div
+        v-if="permissionGranted"
+        class="absolute left-4 bottom-6 z-40 flex flex-col items-start gap-2 text-[10px] tracking-[0.3em] text-white/40"
+        @pointerdown.stop
+      >
+        <AutoGainPanel v-if="showAutoGainPanel" :options="autoGainOptions" :level="autoGainLevel" @update="handleAutoGainUpdate" />
+        <div class="flex items-center gap-4">
+          <button
+            class="hover:text-white/80 cursor-ns-resize"
+            title="Drag up or down, or drag with two fingers anywhere"
+            @pointerdown.stop="handleGainHandleDown"
+          >
+            {{ autoGainOptions.autoGain ? 'TRIM' : 'GAIN' }} · {{ gainControl.toFixed(2) }}
+          </button>
+          <button
+            class="hover:text-white/80"
+            :class="{ 'text-white/90': autoGainOptions.autoGain }"
+            title="Automatic gain control"
+            @click="handleAutoGainUpdate({ autoGain: !autoGainOptions.autoGain })"
+          >
+            {{ autoGainOptions.autoGain ? 'AUTO' : 'MANUAL' }}
+          </button>
+          <button class="hover:text-white/80" :class="{ 'text-white/90': showAutoGainPanel }" @click="showAutoGainPanel = !showAutoGainPanel">AGC…</button>
+        </div>
+      </div>
+
+      <input
+        ref="fileInputRef"
+        type="file"
+        accept="audio/*"
+        class="hidden"
+        @change="handleFileChange"
+      />
+
+      <!-- Source Switcher -->
+      <div
+        v-if="permissionGranted"
+        class="absolute top-4 left-1/2 -translate-x-1/2 z-40 flex gap-4 text-[10px] tracking-[0.3em] text-white/40"
+        @pointerdown.stop
+      >
+        <button :class="{ 'text-white/90': sourceType === 'microphone' }" @click="showDeviceMenu = !showDeviceMenu">MIC</button>
+        <button :class="{ 'text-white/90': sourceType === 'file' }" @click="handleOpenFile">FILE</button>
+        <button :class="{ 'text-white/90': sourceType === 'url' }" @click="showUrlInput = !showUrlInput">URL</button>
+      </div>
+
+      <div
+        v-if="permissionGranted"
+        class="absolute top-4 right-4 z-40 flex flex-col items-end gap-2 text-[10px] tracking-[0.3em] text-white/40 uppercase"
+        @pointerdown.stop
+      >
+        <RecorderControls
+          :recording="recording"
+          :duration="recordingDuration"
+          :supported="recordingSupported"
+          @toggle="handleToggleRecording"
+        />
+        <button
+          class="hover:text-white/80"
+          :class="{ 'text-white/90': showRenderPanel || renderProgress }"
+          @click="showRenderPanel = !showRenderPanel"
+        >
+          RENDER{{ renderProgress ? ' · ' + Math.round(renderProgress.progress * 100) + '%' : '' }}
+        </button>
+        <button class="hover:text-white/80" :title="'Snapshot at ' + fluidConfig.CAPTURE_RESOLUTION + 'p'" @click="handleSnapshot">SNAPSHOT</button>
+        <button class="hover:text-white/80" @click="showPresetMenu = !showPresetMenu">PRESET · {{ activePreset || 'custom' }}</button>
+        <button class="hover:text-white/80" @click="handleCycleEmitterLayout">EMITTERS · {{ emitterLayout }}</button>
+        <button class="hover:text-white/80" @click="handleCyclePathType">PATH · {{ pathType || 'layout' }}</button>
+        <button
+          class="hover:text-white/80"
+          :class="{ 'text-white/90': drawMode }"
+          @click="drawMode = !drawMode"
+        >
+          {{ drawMode ? 'DRAW A LOOP…' : 'DRAW PATH' }}
+        </button>
+      </div>
+
+      <div
+        v-if="permissionGranted"
+        class="absolute top-4 left-4 z-40 flex flex-col items-start gap-2"
+        @pointerdown.stop
+      >
+        <div class="flex gap-4 text-[10px] tracking-[0.3em] text-white/40">
+          <button class="hover:text-white/80" :class="{ 'text-white/90': showSettings }" @click="showSettings = !showSettings">
+            SETTINGS
+          </button>
+          <button class="hover:text-white/80" :class="{ 'text-white/90': showModulation }" @click="showModulation = !showModulation">
+            MODULATION{{ modulation.length ? ' · ' + modulation.length : '' }}
+          </button>
+          <button class="hover:text-white/80 uppercase" :class="{ 'text-white/90': showColor }" @click="showColor = !showColor">
+            COLOUR · {{ colorScheme.mode }}
+          </button>
+          <button class="hover:text-white/80" :class="{ 'text-white/90': showStats }" @click="showStats = !showStats; frameStats = null">
+            STATS
+          </button>
+          <button class="hover:text-white/80" :class="{ 'text-white/90': showBindings || learning }" @click="showBindings = !showBindings">
+            CONTROLS{{ learning ? ' · LEARN' : '' }}
+          </button>
+          <button class="hover:text-white/80" :class="{ 'text-white/90': showSeedPanel || seedLabel }" @click="showSeedPanel = !showSeedPanel">
+            SEED
+          </button>
+        </div>
+        <TimeControls
+          :paused="fluidConfig.PAUSED"
+          :timeScale="fluidConfig.TIME_SCALE"
+          @toggle="handleTogglePause"
+          @step="handleStepFrame"
+          @scale="handleTimeScale"
+        />
+        <SettingsPanel v-if="showSettings" :config="fluidConfig" @update="handleConfigUpdate" />
+        <ModulationPanel v-if="showModulation" :routes="modulation" @update="handleModulationUpdate" />
+        <ColorPanel v-if="showColor" :scheme="colorScheme" @update="handleColorSchemeUpdate" />
+        <SeedPanel
+          v-if="showSeedPanel"
+          :options="seedOptions"
+          :sourceLabel="seedLabel"
+          :cameraSupported="cameraSupported"
+          @update="handleSeedOptionsUpdate"
+          @file="handleSeedFile"
+          @camera="handleSeedCamera"
+          @seed="startSeeding"
+          @clear="releaseSeedSource"
+        />
+        <BindingsPanel
+          v-if="showBindings"
+          :bindings="bindings"
+          :learning="learning"
+          :midiSupported="midiSupported"
+          :midiEnabled="midiEnabled"
+          :midiInputs="midiInputs"
+          @learn="handleLearn"
+          @cancel-learn="learning = null"
+          @remove="handleRemoveBinding"
+          @reset="handleResetBindings"
+          @enable-midi="handleEnableMidi"
+        />
+      </div>
+
+      <div
+        v-if="permissionGranted && showRenderPanel"
+        class="absolute top-48 right-4 z-[60]"
+        @pointerdown.stop
+      >
+        <RenderPanel
+          :progress="renderProgress"
+          :videoSupported="videoRenderSupported"
+          @start="handleStartRender"
+          @cancel="handleCancelRender"
+        />
+      </div>
+
+      <div
+        v-if="permissionGranted && showPresetMenu"
+        class="absolute top-48 right-4 z-[60]"
+        @pointerdown.stop
+      >
+        <PresetMenu
+          :presets="presets"
+          :activeName="activePreset"
+          @select="handleSelectPreset"
+          @save="handleSavePreset"
+          @delete="handleDeletePreset"
+          @export="handleExportPreset"
+          @import="handleImportPreset"
+        />
+      </div>
+
+      <!-- Freehand path preview -->
+      <svg v-if="drawStroke.length" class="absolute inset-0 w-full h-full pointer-events-none z-40">
+        <polyline
+          :points="drawStroke.map(p => p.x + ',' + p.y).join(' ')"
+          fill="none"
+          stroke="rgba(255,255,255,0.5)"
+          stroke-width="1.5"
+          stroke-dasharray="4 4"
+        />
+      </svg>
+
+      <div
+        v-if="permissionGranted && showDeviceMenu"
+        class="absolute top-12 left-1/2 -translate-x-1/2 z-[60]"
+        @pointerdown.stop
+      >
+        <DeviceMenu
+          :devices="devices"
+          :activeDeviceId="sourceType === 'microphone' ? activeDeviceId : null"
+          @select="handleSelectDevice"
+        />
+      </div>
+
+      <form
+        v-if="showUrlInput"
+        class="absolute top-12 left-1/2 -translate-x-1/2 z-[60] flex gap-2"
+        @pointerdown.stop
+        @click.stop
+        @submit.prevent="handleUrlSubmit"
+      >
+        <input
+          v-model="urlInput"
+          type="url"
+          placeholder="https://…"
+          class="w-72 px-3 py-1 rounded-full bg-black/60 border border-white/20 text-xs text-white/80 outline-none focus:border-white/50"
+        />
+        <button type="submit" class="px-3 text-[10px] tracking-[0.3em] text-white/60 hover:text-white">PLAY</button>
+      </form>
+
+      <div v-if="showStats" class="absolute bottom-6 right-4 z-40">
+        <StatsOverlay :stats="frameStats" />
+      </div>
+
+      <!-- Playback Controls for file and URL sources -->
+      <div
+        v-if="isPlaybackSource"
+        class="absolute bottom-6 left-1/2 -translate-x-1/2 z-40"
+        @pointerdown.stop
+      >
+        <PlaybackControls
+          :playback="playback"
+          :label="sourceLabel"
+          @toggle="handleTogglePlayback"
+          @seek="handleSeek"
+        />
+      </div>
+
       <div
         v-if="!permissionGranted"
-        class="absolute inset-0 z-50 flex items-center justify-center cursor-pointer bg-black/20 backdrop-blur-[2px]"
+        class="absolute inset-0 z-50 flex flex-col items-center justify-center gap-6 cursor-pointer bg-black/20 backdrop-blur-[2px]"
         @click="handleStart"
       >
          <div class="text-white/40 font-light tracking-[0.3em] text-xs animate-pulse">
            TAP TO IMMERSE
          </div>
+         <div class="flex gap-6 text-white/30 font-light tracking-[0.3em] text-[10px]">
+           <button class="hover:text-white/70" @click.stop="handleOpenFile">OPEN FILE</button>
+           <button class="hover:text-white/70" @click.stop="showUrlInput = !showUrlInput">STREAM URL</button>
+         </div>
+         <div class="text-white/20 font-light tracking-[0.3em] text-[10px]">
+           OR DROP AN AUDIO FILE
+         </div>
       </div>
     </div>
   `
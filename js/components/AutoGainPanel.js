@@ -0,0 +1,79 @@
+/**
+ * @typedef {import('../services/loudnessNormalizer.js').AutoGainOptions} AutoGainOptions
+ */
+
+/**
+ * @typedef {Object} AutoGainField
+ * @property {keyof AutoGainOptions} key
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {string} unit
+ */
+
+/** @type {AutoGainField[]} */
+const FIELDS = [
+  { key: 'autoGainTarget', label: 'Target', min: 0.05, max: 1, step: 0.05, unit: '' },
+  { key: 'autoGainAttack', label: 'Attack', min: 0.05, max: 5, step: 0.05, unit: 's' },
+  { key: 'autoGainRelease', label: 'Release', min: 0.5, max: 30, step: 0.5, unit: 's' }
+];
+
+export default {
+  props: {
+    /** @type {AutoGainOptions} */
+    options: {
+      type: Object,
+      required: true
+    },
+    /** @type {number} Multiplier the AGC currently applies */
+    level: {
+      type: Number,
+      default: 1
+    }
+  },
+  emits: ['update'],
+  setup(props, { emit }) {
+    /**
+     * @param {AutoGainField} field
+     * @param {Event} e
+     */
+    const handleInput = (field, e) => {
+      emit('update', { [field.key]: Number(/** @type {HTMLInputElement} */ (e.target).value) });
+    };
+
+    return { fields: FIELDS, handleInput };
+  },
+  template: `
+    <div class="w-64 py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60 normal-case tracking-normal">
+      <div class="flex items-center justify-between px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">
+        <span>AUTO GAIN</span>
+        <span v-if="options.autoGain" class="tabular-nums">{{ (20 * Math.log10(level)).toFixed(1) }} dB</span>
+      </div>
+      <label class="flex items-center justify-between gap-3 px-4 py-1 border-t border-white/10">
+        <span>Enabled</span>
+        <input
+          type="checkbox"
+          class="accent-white"
+          :checked="options.autoGain"
+          @change="$emit('update', { autoGain: $event.target.checked })"
+        />
+      </label>
+      <label v-for="field in fields" :key="field.key" class="flex items-center justify-between gap-3 px-4 py-1">
+        <span>{{ field.label }}</span>
+        <span class="flex items-center gap-2">
+          <input
+            type="range"
+            class="w-24 accent-white"
+            :min="field.min"
+            :max="field.max"
+            :step="field.step"
+            :value="options[field.key]"
+            @input="handleInput(field, $event)"
+          />
+          <span class="w-10 text-right tabular-nums text-white/40">{{ options[field.key] }}{{ field.unit }}</span>
+        </span>
+      </label>
+    </div>
+  `
+};
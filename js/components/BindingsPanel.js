@@ -0,0 +1,106 @@
+import { ref } from 'vue';
+import { listControlTargets, getControlTarget, describeSource } from '../services/controlBindings.js';
+
+/**
+ * @typedef {import('../services/controlBindings.js').ControlBinding} ControlBinding
+ * @typedef {import('../services/controlBindings.js').ControlTarget} ControlTarget
+ */
+
+export default {
+  props: {
+    /** @type {ControlBinding[]} */
+    bindings: {
+      type: Array,
+      required: true
+    },
+    /** @type {ControlTarget | null} The control waiting for its next key or MIDI message */
+    learning: {
+      type: Object,
+      default: null
+    },
+    /** @type {boolean} */
+    midiSupported: {
+      type: Boolean,
+      default: false
+    },
+    /** @type {boolean} */
+    midiEnabled: {
+      type: Boolean,
+      default: false
+    },
+    /** @type {string[]} */
+    midiInputs: {
+      type: Array,
+      default: () => []
+    }
+  },
+  emits: ['learn', 'cancel-learn', 'remove', 'reset', 'enable-midi'],
+  setup() {
+    const targets = listControlTargets();
+    const targetIndex = ref(0);
+
+    /**
+     * @param {ControlBinding} binding
+     * @returns {string}
+     */
+    const bindingLabel = (binding) => getControlTarget(binding.action, binding.param)?.label || binding.action;
+
+    return { targets, targetIndex, bindingLabel, describeSource };
+  },
+  template: `
+    <div class="w-72 max-h-[70vh] overflow-y-auto py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="flex items-center justify-between px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">
+        <span>CONTROLS</span>
+        <button class="hover:text-white/80" @click="$emit('reset')">DEFAULTS</button>
+      </div>
+
+      <div class="px-4 py-2 border-t border-white/10">
+        <button
+          v-if="!midiEnabled"
+          class="text-[10px] tracking-[0.2em] hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+          :disabled="!midiSupported"
+          :title="midiSupported ? '' : 'Web MIDI is not supported in this browser'"
+          @click="$emit('enable-midi')"
+        >
+          ENABLE MIDI
+        </button>
+        <div v-else class="text-[10px] text-white/40">
+          MIDI · {{ midiInputs.length ? midiInputs.join(', ') : 'no devices connected' }}
+        </div>
+      </div>
+
+      <div class="flex items-center gap-2 px-4 py-2 border-t border-white/10">
+        <select v-model.number="targetIndex" class="flex-1 min-w-0 bg-transparent border-b border-white/20 outline-none text-white/80">
+          <option v-for="(target, index) in targets" :key="target.action + (target.param || '')" :value="index" class="bg-black">
+            {{ target.label }}{{ target.kind === 'continuous' ? ' (CC)' : '' }}
+          </option>
+        </select>
+        <button
+          v-if="!learning"
+          class="text-[10px] tracking-[0.2em] hover:text-white"
+          @click="$emit('learn', targets[targetIndex])"
+        >
+          LEARN
+        </button>
+        <button v-else class="text-[10px] tracking-[0.2em] text-white/90 animate-pulse" @click="$emit('cancel-learn')">
+          CANCEL
+        </button>
+      </div>
+      <div v-if="learning" class="px-4 pb-2 text-[10px] text-white/40">
+        {{ learning.kind === 'continuous' ? 'Move a knob or fader' : 'Press a key, pad or button' }} for {{ learning.label }} · Esc cancels
+      </div>
+
+      <div
+        v-for="binding in bindings"
+        :key="binding.id"
+        class="flex items-center justify-between gap-3 px-4 py-1 border-t border-white/5"
+      >
+        <span class="truncate">{{ bindingLabel(binding) }}</span>
+        <span class="flex items-center gap-2 shrink-0">
+          <span class="px-1 rounded bg-white/10 text-white/80 tabular-nums">{{ describeSource(binding.source) }}</span>
+          <button class="text-white/40 hover:text-white" @click="$emit('remove', binding)">✕</button>
+        </span>
+      </div>
+    </div>
+  `
+};
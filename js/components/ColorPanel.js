@@ -0,0 +1,172 @@
+import { COLOR_MODES, PALETTES, paletteToCss, hslToRgb } from '../visualizer/color.js';
+
+/**
+ * @typedef {import('../visualizer/color.js').ColorScheme} ColorScheme
+ * @typedef {import('../visualizer/color.js').GradientStop} GradientStop
+ */
+
+/**
+ * @param {number} hue - 0-1
+ * @param {number} saturation - 0-1
+ * @returns {string}
+ */
+function hslToCss(hue, saturation) {
+  const { r, g, b } = hslToRgb(hue, saturation, 0.5);
+  return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
+
+export default {
+  props: {
+    /** @type {ColorScheme} */
+    scheme: {
+      type: Object,
+      required: true
+    }
+  },
+  emits: ['update'],
+  setup(props, { emit }) {
+    /**
+     * @param {Partial<ColorScheme>} changes
+     */
+    const update = (changes) => {
+      emit('update', { ...props.scheme, ...changes });
+    };
+
+    /**
+     * @param {number} index
+     * @param {Partial<GradientStop>} changes
+     */
+    const updateStop = (index, changes) => {
+      update({ palette: props.scheme.palette.map((stop, i) => i === index ? { ...stop, ...changes } : stop) });
+    };
+
+    const handleAddStop = () => {
+      const { palette } = props.scheme;
+      // Split the widest gap between neighbouring stops
+      const sorted = [...palette].sort((a, b) => a.position - b.position);
+      let position = 0.5;
+      let widest = 0;
+      for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i].position - sorted[i - 1].position;
+        if (gap > widest) {
+          widest = gap;
+          position = sorted[i - 1].position + gap / 2;
+        }
+      }
+      update({ palette: [...palette, { position, color: '#ffffff' }] });
+    };
+
+    /**
+     * @param {number} index
+     */
+    const handleRemoveStop = (index) => {
+      if (props.scheme.palette.length <= 2) return;
+      update({ palette: props.scheme.palette.filter((_, i) => i !== index) });
+    };
+
+    /**
+     * @param {string} name
+     */
+    const handleLoadPalette = (name) => {
+      if (!PALETTES[name]) return;
+      update({ palette: PALETTES[name].map(stop => ({ ...stop })) });
+    };
+
+    return {
+      modes: COLOR_MODES,
+      paletteNames: Object.keys(PALETTES),
+      paletteToCss,
+      hslToCss,
+      update,
+      updateStop,
+      handleAddStop,
+      handleRemoveStop,
+      handleLoadPalette
+    };
+  },
+  template: `
+    <div class="w-64 max-h-[70vh] overflow-y-auto py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">COLOUR</div>
+
+      <div class="flex flex-wrap gap-x-3 gap-y-1 px-4 pb-2 text-[10px] tracking-[0.2em] uppercase">
+        <button
+          v-for="mode in modes"
+          :key="mode"
+          class="hover:text-white"
+          :class="{ 'text-white': scheme.mode === mode }"
+          @click="update({ mode })"
+        >
+          {{ mode }}
+        </button>
+      </div>
+
+      <template v-if="scheme.mode === 'palette'">
+        <div class="mx-4 h-3 rounded" :style="{ background: paletteToCss(scheme.palette) }"></div>
+        <label class="flex items-center justify-between gap-3 px-4 pt-2">
+          <span>Index by</span>
+          <select
+            class="bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="scheme.paletteIndex"
+            @change="update({ paletteIndex: $event.target.value })"
+          >
+            <option value="pitch" class="bg-black">pitch</option>
+            <option value="energy" class="bg-black">energy</option>
+          </select>
+        </label>
+        <label class="flex items-center justify-between gap-3 px-4 pt-1">
+          <span>Load</span>
+          <select
+            class="bg-transparent border-b border-white/20 outline-none text-white/80"
+            value=""
+            @change="handleLoadPalette($event.target.value); $event.target.value = ''"
+          >
+            <option value="" class="bg-black">—</option>
+            <option v-for="name in paletteNames" :key="name" :value="name" class="bg-black">{{ name }}</option>
+          </select>
+        </label>
+        <div v-for="(stop, index) in scheme.palette" :key="index" class="flex items-center gap-2 px-4 pt-1">
+          <input
+            type="color"
+            class="w-6 h-5 bg-transparent border-0 p-0"
+            :value="stop.color"
+            @input="updateStop(index, { color: $event.target.value })"
+          />
+          <input
+            type="range"
+            class="flex-1 accent-white"
+            min="0"
+            max="1"
+            step="0.01"
+            :value="stop.position"
+            @input="updateStop(index, { position: Number($event.target.value) })"
+          />
+          <button
+            class="text-white/30 hover:text-white disabled:opacity-20"
+            title="Remove stop"
+            :disabled="scheme.palette.length <= 2"
+            @click="handleRemoveStop(index)"
+          >
+            ×
+          </button>
+        </div>
+        <button class="px-4 pt-2 text-[10px] tracking-[0.3em] hover:text-white" @click="handleAddStop">+ ADD STOP</button>
+      </template>
+
+      <template v-else-if="scheme.mode === 'monochrome'">
+        <div class="mx-4 h-3 rounded" :style="{ background: hslToCss(scheme.hue, scheme.saturation) }"></div>
+        <label class="flex items-center justify-between gap-3 px-4 pt-2">
+          <span>Hue</span>
+          <input type="range" class="w-32 accent-white" min="0" max="1" step="0.01" :value="scheme.hue" @input="update({ hue: Number($event.target.value) })" />
+        </label>
+        <label class="flex items-center justify-between gap-3 px-4 pt-1">
+          <span>Saturation</span>
+          <input type="range" class="w-32 accent-white" min="0" max="1" step="0.01" :value="scheme.saturation" @input="update({ saturation: Number($event.target.value) })" />
+        </label>
+      </template>
+
+      <div v-else-if="scheme.mode === 'cycle'" class="px-4 text-white/30">Speed is set by Hue cycle speed in SETTINGS.</div>
+      <div v-else-if="scheme.mode === 'bands'" class="px-4 text-white/30">Bass is red, mid is green, treble is blue.</div>
+      <div v-else class="px-4 text-white/30">Each note has its own hue.</div>
+    </div>
+  `
+};
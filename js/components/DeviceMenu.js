@@ -0,0 +1,34 @@
+/**
+ * @typedef {import('../services/audioManager.js').AudioInputDevice} AudioInputDevice
+ */
+
+export default {
+  props: {
+    /** @type {AudioInputDevice[]} */
+    devices: {
+      type: Array,
+      required: true
+    },
+    /** @type {string | null} */
+    activeDeviceId: {
+      type: String,
+      default: null
+    }
+  },
+  emits: ['select'],
+  template: `
+    <div class="min-w-[14rem] max-w-xs py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">INPUT DEVICE</div>
+      <button
+        v-for="device in devices"
+        :key="device.deviceId"
+        class="block w-full px-4 py-1.5 text-left truncate hover:bg-white/10 hover:text-white"
+        :class="{ 'text-white': device.deviceId === activeDeviceId }"
+        @click="$emit('select', device.deviceId)"
+      >
+        {{ device.label }}
+      </button>
+      <div v-if="!devices.length" class="px-4 py-1.5 text-white/30">No input devices</div>
+    </div>
+  `
+};
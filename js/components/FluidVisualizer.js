@@ -1,9 +1,143 @@
 import { ref, onMounted, onBeforeUnmount, watch, toRefs } from 'vue';
+import { audioManager } from '../services/audioManager.js';
+import { EMITTER_LAYOUTS, syncEmitterStates, stepEmitter } from '../visualizer/emitters.js';
+import { DEFAULT_COLOR_SCHEME, resolveColor } from '../visualizer/color.js';
+import { DEFAULT_FLUID_CONFIG, FRAMEBUFFER_KEYS, KEYWORD_KEYS, OBSTACLE_KEYS, createFluidConfig } from '../visualizer/fluidConfig.js';
+import { MODULATION_TARGETS, evaluateModulation, readModulationSource } from '../visualizer/modulation.js';
+import { QUALITY_TIERS, QualityGovernor, limitQuality } from '../visualizer/qualityGovernor.js';
+import { hasObstacle, drawObstacleMask } from '../visualizer/obstacles.js';
 
 /**
  * @typedef {import('../services/audioManager.js').AudioMetrics} AudioMetrics
+ * @typedef {import('../services/audioManager.js').BeatEvent} BeatEvent
+ * @typedef {import('../visualizer/emitters.js').EmitterConfig} EmitterConfig
+ * @typedef {import('../visualizer/emitters.js').EmitterState} EmitterState
+ * @typedef {import('../visualizer/fluidConfig.js').FluidConfig} FluidConfig
+ * @typedef {import('../visualizer/modulation.js').ModulationRoute} ModulationRoute
+ * @typedef {import('../visualizer/modulation.js').ModulationSource} ModulationSource
+ * @typedef {import('../visualizer/color.js').ColorScheme} ColorScheme
+ * @typedef {import('../visualizer/color.js').ColorContext} ColorContext
  */
 
+/**
+ * A pointer movement to stir into the fluid. Coordinates are 0-1 canvas
+ * space with y pointing up; dx/dy are the movement since the last event.
+ * @typedef {Object} PointerSplat
+ * @property {number} x
+ * @property {number} y
+ * @property {number} dx
+ * @property {number} dy
+ */
+
+/**
+ * Performance figures for the stats overlay
+ * @typedef {Object} FrameStats
+ * @property {number} fps - Smoothed frame rate
+ * @property {number} tier - Current quality tier; 0 is full quality
+ * @property {number} tierCount
+ * @property {boolean} adaptive
+ * @property {{ width: number, height: number }} simResolution
+ * @property {{ width: number, height: number }} dyeResolution
+ * @property {number} pressureIterations
+ * @property {boolean} bloom
+ * @property {boolean} sunrays
+ */
+
+/**
+ * One frame of an offline render
+ * @typedef {Object} OfflineFrame
+ * @property {AudioMetrics} metrics
+ * @property {BeatEvent[]} beats - Beats that fall inside this frame
+ * @property {number} dt - Frame duration in seconds
+ */
+
+/**
+ * @typedef {Object} OfflineRenderer
+ * @property {(size: { width: number, height: number }) => void} begin
+ * @property {(frame: OfflineFrame) => void} renderFrame
+ * @property {() => void} end
+ */
+
+/**
+ * @typedef {Object} SnapshotOptions
+ * @property {number} [resolution] - Length of the shorter side; defaults to `CAPTURE_RESOLUTION`
+ * @property {boolean} [transparent] - Leave the background out; defaults to `TRANSPARENT`
+ */
+
+/**
+ * How seeded pixels combine with the dye already there
+ * @typedef {'replace' | 'add' | 'multiply'} DyeBlendMode
+ */
+
+/**
+ * Anything that can be melted into the dye. Streams, such as a webcam, are played through a hidden video element.
+ * @typedef {HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | ImageBitmap | MediaStream} DyeSeedSource
+ */
+
+/**
+ * @typedef {Object} DyeSeedOptions
+ * @property {DyeBlendMode} [blend] - Defaults to 'add'
+ * @property {number} [strength] - 0-1 share of the image each seed blends in; defaults to 1
+ * @property {boolean} [continuous] - Keep seeding from the source, which for a video is its latest frame; defaults to seeding once
+ * @property {number} [rate] - Seeds per second when continuous, at the full level of `rateSource`; defaults to 10
+ * @property {ModulationSource | null} [rateSource] - Audio level that scales the rate, or null for a steady rate; defaults to 'volume'
+ * @property {ModulationSource | null} [gate] - Only seed pixels brighter than one minus this level, so louder audio lets more
+ *   of the image through; defaults to null, seeding everything
+ */
+
+/** @type {Required<DyeSeedOptions>} */
+export const DEFAULT_DYE_SEED_OPTIONS = {
+  blend: 'add',
+  strength: 1,
+  continuous: false,
+  rate: 10,
+  rateSource: 'volume',
+  gate: null
+};
+
+/** @type {Record<DyeBlendMode, string[]>} */
+const BLEND_KEYWORDS = {
+  replace: [],
+  add: ['BLEND_ADD'],
+  multiply: ['BLEND_MULTIPLY']
+};
+
+// Largest simulation step; longer frames (sped up or offline) are split into several steps
+const MAX_STEP = 1 / 60;
+
+/**
+ * Turn pixels read back from WebGL into a PNG. WebGL rows run bottom to top
+ * and its colours are premultiplied, while ImageData is top to bottom and straight.
+ * @param {Uint8Array} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Blob>}
+ */
+function pixelsToPng(pixels, width, height) {
+  const image = new ImageData(width, height);
+  const rowSize = width * 4;
+  for (let y = 0; y < height; y++) {
+    const source = (height - 1 - y) * rowSize;
+    const target = y * rowSize;
+    for (let x = 0; x < rowSize; x += 4) {
+      const alpha = pixels[source + x + 3];
+      const scale = alpha ? 255 / alpha : 0;
+      image.data[target + x] = Math.min(255, pixels[source + x] * scale);
+      image.data[target + x + 1] = Math.min(255, pixels[source + x + 1] * scale);
+      image.data[target + x + 2] = Math.min(255, pixels[source + x + 2] * scale);
+      image.data[target + x + 3] = alpha;
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode snapshot')), 'image/png');
+  });
+}
+
 export default {
   props: {
     /** @type {AudioMetrics} */
@@ -15,12 +149,119 @@ export default {
     gain: {
       type: Number,
       required: true
+    },
+    /** @type {boolean} Fire a burst splat on every detected beat */
+    beatBursts: {
+      type: Boolean,
+      default: true
+    },
+    /** @type {EmitterConfig[]} */
+    emitters: {
+      type: Array,
+      default: () => EMITTER_LAYOUTS.single
+    },
+    /** @type {Partial<FluidConfig>} Applied live; missing keys use the defaults */
+    config: {
+      type: Object,
+      default: () => DEFAULT_FLUID_CONFIG
+    },
+    /** @type {ModulationRoute[]} Audio-to-parameter routes, applied on top of `config` */
+    modulation: {
+      type: Array,
+      default: () => []
+    },
+    /** @type {ColorScheme} */
+    colorScheme: {
+      type: Object,
+      default: () => DEFAULT_COLOR_SCHEME
+    },
+    /** @type {boolean} Emit `stats` twice a second */
+    stats: {
+      type: Boolean,
+      default: false
     }
   },
-  setup(props) {
+  emits: ['stats'],
+  setup(props, { expose, emit }) {
     const canvasRef = ref(null);
     const { audioMetrics, gain } = toRefs(props);
 
+    // Beats arrive from AudioManager between frames; they are drained in update()
+    /** @type {BeatEvent[]} */
+    const pendingBeats = [];
+    const unsubscribeBeat = audioManager.on('beat', (/** @type {BeatEvent} */ e) => {
+      if (props.beatBursts && !isOffline) pendingBeats.push(e);
+    });
+    onBeforeUnmount(unsubscribeBeat);
+
+    // Pointer movement also arrives between frames and is drained in update()
+    /** @type {PointerSplat[]} */
+    const pendingPointerSplats = [];
+
+    /**
+     * Stir the fluid from a pointer or touch movement
+     * @param {PointerSplat} movement
+     */
+    const stir = (movement) => {
+      if (!isOffline) pendingPointerSplats.push(movement);
+    };
+
+    // Offline rendering drives the simulation frame by frame instead of the
+    // animation loop; the renderer is set up once the WebGL context exists
+    let isOffline = false;
+    /** @type {OfflineRenderer | null} */
+    let offlineRenderer = null;
+    /** @type {((options: SnapshotOptions) => Promise<Blob>) | null} */
+    let snapshotRenderer = null;
+    /** @type {(() => void) | null} */
+    let frameStepper = null;
+    /** @type {{ start: (source: DyeSeedSource, options?: DyeSeedOptions) => void, stop: () => void } | null} */
+    let dyeSeeder = null;
+
+    expose({
+      stir,
+      getCanvas: () => canvasRef.value,
+      /**
+       * Stop the live loop, resize the canvas to the output size and reset the simulation
+       * @param {{ width: number, height: number }} size
+       */
+      beginOffline: (size) => offlineRenderer?.begin(size),
+      /**
+       * Advance by exactly one frame and draw it. The canvas holds the frame
+       * until control returns to the browser, so read it back straight away.
+       * @param {OfflineFrame} frame
+       */
+      renderFrame: (frame) => offlineRenderer?.renderFrame(frame),
+      endOffline: () => offlineRenderer?.end(),
+      /**
+       * Advance a paused simulation by one frame
+       */
+      stepFrame: () => frameStepper?.(),
+      /**
+       * Render the current frame offscreen at snapshot resolution, independent of the canvas size
+       * @param {SnapshotOptions} [options]
+       * @returns {Promise<Blob>} PNG image
+       */
+      captureSnapshot: (options = {}) => snapshotRenderer
+        ? snapshotRenderer(options)
+        : Promise.reject(new Error('Visualizer is not ready')),
+      /**
+       * Melt an image, video or stream into the dye, replacing any seeding already running.
+       * Seeds are drawn as the simulation steps, once the source has a frame to show.
+       * @param {DyeSeedSource} source
+       * @param {DyeSeedOptions} [options]
+       */
+      seedDye: (source, options) => dyeSeeder?.start(source, options),
+      stopSeeding: () => dyeSeeder?.stop()
+    });
+
+    // Emitter configs can be swapped or edited live; states persist by id
+    /** @type {EmitterState[]} */
+    let emitterStates = syncEmitterStates(props.emitters, []);
+    watch(() => props.emitters, (configs) => {
+      emitterStates = syncEmitterStates(configs, emitterStates);
+    }, { deep: true });
+
     // Keep a ref to the latest audio data for the animation loop
     const audioRef = {
       metrics: audioMetrics.value,
@@ -28,6 +269,7 @@ export default {
     };
 
     watch([audioMetrics, gain], () => {
+      if (isOffline) return;
       audioRef.metrics = audioMetrics.value;
       audioRef.gain = gain.value;
     });
@@ -37,33 +279,11 @@ export default {
       if (!canvas) return;
 
       // --- Configuration ---
-      const config = {
-        SIM_RESOLUTION: 128,
-        DYE_RESOLUTION: 1024,
-        CAPTURE_RESOLUTION: 512,
-        DENSITY_DISSIPATION: 1,
-        VELOCITY_DISSIPATION: 0.2,
-        PRESSURE: 0.8,
-        PRESSURE_ITERATIONS: 20,
-        CURL: 30,
-        SPLAT_RADIUS: 0.25,
-        SPLAT_FORCE: 6000,
-        SHADING: true,
-        COLORFUL: true,
-        COLOR_UPDATE_SPEED: 10,
-        PAUSED: false,
-        BACK_COLOR: { r: 0, g: 0, b: 0 },
-        TRANSPARENT: false,
-        BLOOM: true,
-        BLOOM_ITERATIONS: 8,
-        BLOOM_RESOLUTION: 256,
-        BLOOM_INTENSITY: 0.8,
-        BLOOM_THRESHOLD: 0.6,
-        BLOOM_SOFT_KNEE: 0.7,
-        SUNRAYS: true,
-        SUNRAYS_RESOLUTION: 196,
-        SUNRAYS_WEIGHT: 1.0,
-      };
+      const config = createFluidConfig(props.config);
+      // `config` holds the values in use this frame; modulation is applied on top of `baseConfig`
+      let baseConfig = { ...config };
+      // Steps quality down when frames take too long; its tier is applied on top of the props config
+      const governor = new QualityGovernor();
 
       // --- WebGL Context & Extensions ---
       function getWebGLContext(canvas) {
@@ -141,24 +361,59 @@ export default {
         gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
 
         let status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fbo);
+        gl.deleteTexture(texture);
         return status == gl.FRAMEBUFFER_COMPLETE;
       }
 
       const { gl, ext } = getWebGLContext(canvas);
 
-      if (!ext.supportLinearFiltering) {
-        config.DYE_RESOLUTION = 512;
+      // Without linear filtering the dye gets blocky and the post effects break down
+      function applyDeviceLimits() {
+        if (ext.supportLinearFiltering) return;
+        config.DYE_RESOLUTION = Math.min(config.DYE_RESOLUTION, 512);
         config.SHADING = false;
         config.BLOOM = false;
         config.SUNRAYS = false;
       }
+      applyDeviceLimits();
+      baseConfig = { ...config };
 
       // --- Shaders ---
 
+      // Everything compiled is tracked so it can be rebuilt after the context is lost
+      /** @type {Shader[]} */
+      const shaders = [];
+      /** @type {Program[]} */
+      const programs = [];
+      /** @type {Material[]} */
+      const materials = [];
+
+      class Shader {
+        constructor(type, source, keywords) {
+          this.type = type;
+          this.source = source;
+          this.keywords = keywords;
+          this.compile();
+          shaders.push(this);
+        }
+
+        compile() {
+          this.shader = compileShader(this.type, this.source, this.keywords);
+        }
+      }
+
       class Program {
         constructor(vertexShader, fragmentShader) {
-          this.uniforms = {};
-          this.program = createProgram(vertexShader, fragmentShader);
+          this.vertexShader = vertexShader;
+          this.fragmentShader = fragmentShader;
+          this.link();
+          programs.push(this);
+        }
+
+        link() {
+          this.program = createProgram(this.vertexShader.shader, this.fragmentShader.shader);
           this.uniforms = getUniforms(this.program);
         }
 
@@ -167,6 +422,50 @@ export default {
         }
       }
 
+      class Material {
+        constructor(vertexShader, fragmentShaderSource) {
+          this.vertexShader = vertexShader;
+          this.fragmentShaderSource = fragmentShaderSource;
+          this.programs = [];
+          // One per keyword variant, kept so dispose() can free them
+          this.fragmentShaders = [];
+          this.activeProgram = null;
+          this.uniforms = {};
+          materials.push(this);
+        }
+
+        setKeywords(keywords) {
+          let hash = 0;
+          for (let i = 0; i < keywords.length; i++)
+            hash += hashCode(keywords[i]);
+
+          let program = this.programs[hash];
+          if (program == null) {
+            let fragmentShader = compileShader(gl.FRAGMENT_SHADER, this.fragmentShaderSource, keywords);
+            program = createProgram(this.vertexShader.shader, fragmentShader);
+            this.programs[hash] = program;
+            this.fragmentShaders.push(fragmentShader);
+          }
+
+          if (program == this.activeProgram) return;
+
+          this.uniforms = getUniforms(program);
+          this.activeProgram = program;
+        }
+
+        bind() {
+          if (this.activeProgram) gl.useProgram(this.activeProgram);
+        }
+
+        // Drop programs from a lost context; the next setKeywords() recompiles
+        reset() {
+          this.programs = [];
+          this.fragmentShaders = [];
+          this.activeProgram = null;
+          this.uniforms = {};
+        }
+      }
+
       function createProgram(vertexShader, fragmentShader) {
         let program = gl.createProgram();
         if (!program) throw new Error("Failed to create program");
@@ -207,12 +506,12 @@ export default {
         if (!keywords) return source;
         let keywordsString = '';
         keywords.forEach(keyword => {
-          keywordsString += '#define ' + keyword + '\\n';
+          keywordsString += '#define ' + keyword + '\n';
         });
         return keywordsString + source;
       }
 
-      const baseVertexShader = compileShader(gl.VERTEX_SHADER, `
+      const baseVertexShader = new Shader(gl.VERTEX_SHADER, `
         precision highp float;
 
         attribute vec2 aPosition;
@@ -233,7 +532,7 @@ export default {
         }
       `);
 
-      const blurVertexShader = compileShader(gl.VERTEX_SHADER, `
+      const blurVertexShader = new Shader(gl.VERTEX_SHADER, `
         precision highp float;
 
         attribute vec2 aPosition;
@@ -251,7 +550,7 @@ export default {
         }
       `);
 
-      const blurShader = compileShader(gl.FRAGMENT_SHADER, `
+      const blurShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -268,7 +567,7 @@ export default {
         }
       `);
 
-      const copyShader = compileShader(gl.FRAGMENT_SHADER, `
+      const copyShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -280,7 +579,7 @@ export default {
         }
       `);
 
-      const clearShader = compileShader(gl.FRAGMENT_SHADER, `
+      const clearShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -293,7 +592,7 @@ export default {
         }
       `);
 
-      const colorShader = compileShader(gl.FRAGMENT_SHADER, `
+      const colorShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
 
         uniform vec4 color;
@@ -303,6 +602,51 @@ export default {
         }
       `);
 
+      const gradientShader = new Shader(gl.FRAGMENT_SHADER, `
+        precision mediump float;
+
+        varying vec2 vUv;
+        uniform vec3 colorA;
+        uniform vec3 colorB;
+        uniform vec2 direction;
+        uniform float aspectRatio;
+
+        void main () {
+            // Project onto the gradient direction in canvas space, so the corners land on 0 and 1
+            vec2 p = (vUv - 0.5) * vec2(aspectRatio, 1.0);
+            float extent = 0.5 * (abs(direction.x) * aspectRatio + abs(direction.y));
+            float t = clamp(dot(p, direction) / extent * 0.5 + 0.5, 0.0, 1.0);
+            gl_FragColor = vec4(mix(colorA, colorB, t), 1.0);
+        }
+      `);
+
+      const imageShader = new Shader(gl.FRAGMENT_SHADER, `
+        precision mediump float;
+        precision mediump sampler2D;
+
+        varying vec2 vUv;
+        uniform sampler2D uTexture;
+        uniform vec2 scale;
+
+        void main () {
+            gl_FragColor = texture2D(uTexture, (vUv - 0.5) * scale + 0.5);
+        }
+      `);
+
+      const silhouetteShader = new Shader(gl.FRAGMENT_SHADER, `
+        precision mediump float;
+        precision mediump sampler2D;
+
+        varying vec2 vUv;
+        uniform sampler2D uObstacles;
+        uniform vec3 color;
+
+        void main () {
+            float a = texture2D(uObstacles, vUv).a;
+            gl_FragColor = vec4(color * a, a);
+        }
+      `);
+
       const displayShaderSource = `
         precision highp float;
         precision highp sampler2D;
@@ -363,12 +707,15 @@ export default {
             c += bloom;
         #endif
 
+            // Premultiplied output: the dye adds its colour and hides the background
+            // by its brightest channel, so c never exceeds a
+            c = clamp(c, 0.0, 1.0);
             float a = max(c.r, max(c.g, c.b));
             gl_FragColor = vec4(c, a);
         }
       `;
 
-      const bloomPrefilterShader = compileShader(gl.FRAGMENT_SHADER, `
+      const bloomPrefilterShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -387,7 +734,7 @@ export default {
         }
       `);
 
-      const bloomBlurShader = compileShader(gl.FRAGMENT_SHADER, `
+      const bloomBlurShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -408,7 +755,7 @@ export default {
         }
       `);
 
-      const bloomFinalShader = compileShader(gl.FRAGMENT_SHADER, `
+      const bloomFinalShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -430,7 +777,7 @@ export default {
         }
       `);
 
-      const sunraysMaskShader = compileShader(gl.FRAGMENT_SHADER, `
+      const sunraysMaskShader = new Shader(gl.FRAGMENT_SHADER, `
         precision highp float;
         precision highp sampler2D;
 
@@ -445,7 +792,7 @@ export default {
         }
       `);
 
-      const sunraysShader = compileShader(gl.FRAGMENT_SHADER, `
+      const sunraysShader = new Shader(gl.FRAGMENT_SHADER, `
         precision highp float;
         precision highp sampler2D;
 
@@ -480,7 +827,7 @@ export default {
         }
       `);
 
-      const splatShader = compileShader(gl.FRAGMENT_SHADER, `
+      const splatShader = new Shader(gl.FRAGMENT_SHADER, `
         precision highp float;
         precision highp sampler2D;
 
@@ -500,7 +847,38 @@ export default {
         }
       `);
 
-      const advectionShader = compileShader(gl.FRAGMENT_SHADER, `
+      const seedShaderSource = `
+        precision highp float;
+        precision highp sampler2D;
+
+        varying vec2 vUv;
+        uniform sampler2D uTarget;
+        uniform sampler2D uSource;
+        uniform vec2 scale;
+        uniform float strength;
+        uniform float threshold;
+
+        void main () {
+            vec3 base = texture2D(uTarget, vUv).rgb;
+            vec4 source = texture2D(uSource, (vUv - 0.5) * scale + 0.5);
+            float luminance = dot(source.rgb, vec3(0.2126, 0.7152, 0.0722));
+            // Fades in just below the gate threshold; a threshold of 0 lets everything through
+            float mask = strength * clamp((luminance - threshold) / 0.1 + 1.0, 0.0, 1.0);
+
+        #ifdef BLEND_ADD
+            vec3 result = base + source.rgb * mask;
+        #elif defined(BLEND_MULTIPLY)
+            // Transparent areas multiply by white and leave the dye alone
+            vec3 result = base * mix(vec3(1.0), source.rgb + (1.0 - source.a), mask);
+        #else
+            // The source is premultiplied, so this is "over"
+            vec3 result = base * (1.0 - mask * source.a) + source.rgb * mask;
+        #endif
+            gl_FragColor = vec4(result, 1.0);
+        }
+      `;
+
+      const advectionShaderSource = `
         precision highp float;
         precision highp sampler2D;
 
@@ -511,6 +889,7 @@ export default {
         uniform vec2 dyeTexelSize;
         uniform float dt;
         uniform float dissipation;
+        uniform sampler2D uObstacles;
 
         vec4 bilerp (sampler2D sam, vec2 uv, vec2 tsize) {
             vec2 st = uv / tsize - 0.5;
@@ -527,6 +906,14 @@ export default {
         }
 
         void main () {
+        #ifdef OBSTACLES
+            // Nothing flows into an obstacle, and dye splatted onto one disappears
+            if (texture2D(uObstacles, vUv).a > 0.5) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+        #endif
+
         #ifdef MANUAL_FILTERING
             vec2 coord = vUv - dt * bilerp(uVelocity, vUv, texelSize).xy * texelSize;
             vec4 result = bilerp(uSource, coord, dyeTexelSize);
@@ -537,9 +924,9 @@ export default {
             float decay = 1.0 + dissipation * dt;
             gl_FragColor = result / decay;
         }
-      `, ext.supportLinearFiltering ? [] : ['MANUAL_FILTERING']);
+      `;
 
-      const divergenceShader = compileShader(gl.FRAGMENT_SHADER, `
+      const divergenceShaderSource = `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -549,6 +936,7 @@ export default {
         varying highp vec2 vT;
         varying highp vec2 vB;
         uniform sampler2D uVelocity;
+        uniform sampler2D uObstacles;
 
         void main () {
             float L = texture2D(uVelocity, vL).x;
@@ -562,12 +950,20 @@ export default {
             if (vT.y > 1.0) { T = -C.y; }
             if (vB.y < 0.0) { B = -C.y; }
 
+        #ifdef OBSTACLES
+            // Obstacle walls reflect the flow like the edges of the domain
+            if (texture2D(uObstacles, vL).a > 0.5) { L = -C.x; }
+            if (texture2D(uObstacles, vR).a > 0.5) { R = -C.x; }
+            if (texture2D(uObstacles, vT).a > 0.5) { T = -C.y; }
+            if (texture2D(uObstacles, vB).a > 0.5) { B = -C.y; }
+        #endif
+
             float div = 0.5 * (R - L + T - B);
             gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
         }
-      `);
+      `;
 
-      const curlShader = compileShader(gl.FRAGMENT_SHADER, `
+      const curlShader = new Shader(gl.FRAGMENT_SHADER, `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -588,7 +984,7 @@ export default {
         }
       `);
 
-      const vorticityShader = compileShader(gl.FRAGMENT_SHADER, `
+      const vorticityShader = new Shader(gl.FRAGMENT_SHADER, `
         precision highp float;
         precision highp sampler2D;
 
@@ -621,7 +1017,7 @@ export default {
         }
       `);
 
-      const pressureShader = compileShader(gl.FRAGMENT_SHADER, `
+      const pressureShaderSource = `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -632,6 +1028,7 @@ export default {
         varying highp vec2 vB;
         uniform sampler2D uPressure;
         uniform sampler2D uDivergence;
+        uniform sampler2D uObstacles;
 
         void main () {
             float L = texture2D(uPressure, vL).x;
@@ -639,13 +1036,22 @@ export default {
             float T = texture2D(uPressure, vT).x;
             float B = texture2D(uPressure, vB).x;
             float C = texture2D(uPressure, vUv).x;
+
+        #ifdef OBSTACLES
+            // No pressure difference across a wall, so the solve pushes nothing through it
+            if (texture2D(uObstacles, vL).a > 0.5) { L = C; }
+            if (texture2D(uObstacles, vR).a > 0.5) { R = C; }
+            if (texture2D(uObstacles, vT).a > 0.5) { T = C; }
+            if (texture2D(uObstacles, vB).a > 0.5) { B = C; }
+        #endif
+
             float divergence = texture2D(uDivergence, vUv).x;
             float pressure = (L + R + B + T - divergence) * 0.25;
             gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
         }
-      `);
+      `;
 
-      const gradientSubtractShader = compileShader(gl.FRAGMENT_SHADER, `
+      const gradientSubtractShaderSource = `
         precision mediump float;
         precision mediump sampler2D;
 
@@ -656,35 +1062,57 @@ export default {
         varying highp vec2 vB;
         uniform sampler2D uPressure;
         uniform sampler2D uVelocity;
+        uniform sampler2D uObstacles;
 
         void main () {
             float L = texture2D(uPressure, vL).x;
             float R = texture2D(uPressure, vR).x;
             float T = texture2D(uPressure, vT).x;
             float B = texture2D(uPressure, vB).x;
+
+        #ifdef OBSTACLES
+            float C = texture2D(uPressure, vUv).x;
+            if (texture2D(uObstacles, vL).a > 0.5) { L = C; }
+            if (texture2D(uObstacles, vR).a > 0.5) { R = C; }
+            if (texture2D(uObstacles, vT).a > 0.5) { T = C; }
+            if (texture2D(uObstacles, vB).a > 0.5) { B = C; }
+        #endif
+
             vec2 velocity = texture2D(uVelocity, vUv).xy;
             velocity.xy -= vec2(R - L, T - B);
+
+        #ifdef OBSTACLES
+            if (texture2D(uObstacles, vUv).a > 0.5) { velocity = vec2(0.0); }
+        #endif
+
             gl_FragColor = vec4(velocity, 0.0, 1.0);
         }
-      `);
+      `;
 
       // --- Programs ---
       const blurProgram = new Program(blurVertexShader, blurShader);
       const copyProgram = new Program(baseVertexShader, copyShader);
       const clearProgram = new Program(baseVertexShader, clearShader);
       const colorProgram = new Program(baseVertexShader, colorShader);
+      const gradientProgram = new Program(baseVertexShader, gradientShader);
+      const imageProgram = new Program(baseVertexShader, imageShader);
       const bloomPrefilterProgram = new Program(baseVertexShader, bloomPrefilterShader);
       const bloomBlurProgram = new Program(baseVertexShader, bloomBlurShader);
       const bloomFinalProgram = new Program(baseVertexShader, bloomFinalShader);
       const sunraysMaskProgram = new Program(baseVertexShader, sunraysMaskShader);
       const sunraysProgram = new Program(baseVertexShader, sunraysShader);
       const splatProgram = new Program(baseVertexShader, splatShader);
-      const advectionProgram = new Program(baseVertexShader, advectionShader);
-      const divergenceProgram = new Program(baseVertexShader, divergenceShader);
+      const silhouetteProgram = new Program(baseVertexShader, silhouetteShader);
       const curlProgram = new Program(baseVertexShader, curlShader);
       const vorticityProgram = new Program(baseVertexShader, vorticityShader);
-      const pressureProgram = new Program(baseVertexShader, pressureShader);
-      const gradienSubtractProgram = new Program(baseVertexShader, gradientSubtractShader);
+
+      // The solver passes compile with OBSTACLES only while there is an obstacle
+      const advectionMaterial = new Material(baseVertexShader, advectionShaderSource);
+      const divergenceMaterial = new Material(baseVertexShader, divergenceShaderSource);
+      const pressureMaterial = new Material(baseVertexShader, pressureShaderSource);
+      const gradientSubtractMaterial = new Material(baseVertexShader, gradientSubtractShaderSource);
+      // Keyworded by blend mode at each seed
+      const seedMaterial = new Material(baseVertexShader, seedShaderSource);
 
       // --- FBO Management ---
       function createFBO(w, h, internalFormat, format, type, param) {
@@ -737,17 +1165,31 @@ export default {
         };
       }
 
+      function deleteFBO(target) {
+        if (!target) return;
+        gl.deleteFramebuffer(target.fbo);
+        gl.deleteTexture(target.texture);
+      }
+
+      function deleteDoubleFBO(target) {
+        if (!target) return;
+        deleteFBO(target.read);
+        deleteFBO(target.write);
+      }
+
       function resizeFBO(target, w, h, internalFormat, format, type, param) {
         let newFBO = createFBO(w, h, internalFormat, format, type, param);
         copyProgram.bind();
         gl.uniform1i(copyProgram.uniforms.uTexture, target.attach(0));
         blit(newFBO);
+        deleteFBO(target);
         return newFBO;
       }
 
       function resizeDoubleFBO(target, w, h, internalFormat, format, type, param) {
         if (target.width == w && target.height == h) return target;
         target.read = resizeFBO(target.read, w, h, internalFormat, format, type, param);
+        deleteFBO(target.write);
         target.write = createFBO(w, h, internalFormat, format, type, param);
         target.width = w;
         target.height = h;
@@ -788,12 +1230,17 @@ export default {
         else
           velocity = resizeDoubleFBO(velocity, simRes.width, simRes.height, rg.internalFormat, rg.format, texType, filtering);
 
+        deleteFBO(divergence);
+        deleteFBO(curl);
+        deleteDoubleFBO(pressure);
         divergence = createFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, gl.NEAREST);
         curl = createFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, gl.NEAREST);
         pressure = createDoubleFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, gl.NEAREST);
 
         initBloomFramebuffers();
         initSunraysFramebuffers();
+        // The mask follows the canvas's aspect ratio and the dye resolution
+        updateObstacleMask();
       }
 
       function initBloomFramebuffers() {
@@ -802,6 +1249,8 @@ export default {
         const rgba = ext.formatRGBA;
         const filtering = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
 
+        deleteFBO(bloom);
+        bloomFramebuffers.forEach(deleteFBO);
         bloom = createFBO(res.width, res.height, rgba.internalFormat, rgba.format, texType, filtering);
 
         bloomFramebuffers.length = 0;
@@ -820,6 +1269,8 @@ export default {
         const r = ext.formatR;
         const filtering = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
 
+        deleteFBO(sunrays);
+        deleteFBO(sunraysTemp);
         sunrays = createFBO(res.width, res.height, r.internalFormat, r.format, texType, filtering);
         sunraysTemp = createFBO(res.width, res.height, r.internalFormat, r.format, texType, filtering);
       }
@@ -840,40 +1291,261 @@ export default {
         return Math.floor(input * pixelRatio);
       }
 
+      /**
+       * @typedef {Object} ImageTexture
+       * @property {WebGLTexture} texture
+       * @property {number} width
+       * @property {number} height
+       * @property {(id: number) => number} attach
+       */
+
+      /**
+       * @param {TexImageSource} source
+       * @param {number} width
+       * @param {number} height
+       * @returns {ImageTexture}
+       */
+      function createImageTexture(source, width, height) {
+        const texture = gl.createTexture();
+        uploadImage(texture, source);
+
+        return {
+          texture,
+          width,
+          height,
+          attach(id) {
+            gl.activeTexture(gl.TEXTURE0 + id);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            return id;
+          }
+        };
+      }
+
+      /**
+       * @param {WebGLTexture} texture
+       * @param {TexImageSource} source
+       */
+      function uploadImage(texture, source) {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        // Flipped to match framebuffer orientation, premultiplied to match the display pass
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+      }
+
+      /**
+       * Scale for sampling a source so it covers the target, cropping whichever side overhangs
+       * @param {number} targetAspect
+       * @param {number} sourceAspect
+       * @returns {[number, number]}
+       */
+      function coverScale(targetAspect, sourceAspect) {
+        return targetAspect > sourceAspect ? [1.0, sourceAspect / targetAspect] : [targetAspect / sourceAspect, 1.0];
+      }
+
+      // --- Obstacles ---
+      // Solid shapes the fluid flows around, drawn into a mask texture at the dye resolution.
+      // The solver passes read it at the simulation resolution; the silhouette at full detail.
+
+      /** @type {ImageTexture | null} */
+      let obstacleMask = null;
+      /** @type {HTMLImageElement | null} */
+      let obstacleImage = null;
+      let obstacleImageUrl = '';
+      /** @type {HTMLCanvasElement | null} */
+      let obstacleCanvas = null;
+
+      function updateObstacleMask() {
+        const hadMask = !!obstacleMask;
+        if (obstacleMask) gl.deleteTexture(obstacleMask.texture);
+        obstacleMask = null;
+
+        if (hasObstacle(config, obstacleImage)) {
+          const { width, height } = getResolution(config.DYE_RESOLUTION);
+          obstacleCanvas = obstacleCanvas || document.createElement('canvas');
+          obstacleCanvas.width = width;
+          obstacleCanvas.height = height;
+          drawObstacleMask(obstacleCanvas.getContext('2d', { willReadFrequently: true }), config, obstacleImage);
+          obstacleMask = createImageTexture(obstacleCanvas, width, height);
+        }
+
+        if (hadMask !== !!obstacleMask) updateKeywords();
+      }
+
+      /**
+       * Load the image used by the 'image' obstacle shape
+       * @param {string} url
+       */
+      function loadObstacleImage(url) {
+        if (url === obstacleImageUrl) return;
+        obstacleImageUrl = url;
+        obstacleImage = null;
+        if (!url) {
+          updateObstacleMask();
+          return;
+        }
+
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+          // A newer image may have been chosen while this one loaded
+          if (url !== obstacleImageUrl) return;
+          obstacleImage = image;
+          if (!contextLost) updateObstacleMask();
+        };
+        image.onerror = (e) => console.error("Failed to load obstacle image", e);
+        image.src = url;
+      }
+
+      // --- Dye Seeding ---
+      // An image, video or stream blended into the dye, once or at an audio-driven rate
+
+      /**
+       * @typedef {Object} DyeSeed
+       * @property {TexImageSource} element
+       * @property {HTMLVideoElement | null} streamVideo - Created here to play a MediaStream source
+       * @property {Required<DyeSeedOptions>} options
+       * @property {number} clock - Seeds due; one is drawn each time it reaches 1
+       */
+
+      /** @type {DyeSeed | null} */
+      let dyeSeed = null;
+      /** @type {ImageTexture | null} */
+      let seedTexture = null;
+
+      /**
+       * @param {DyeSeedSource} source
+       * @param {DyeSeedOptions} [options]
+       */
+      function startDyeSeed(source, options = {}) {
+        stopDyeSeed();
+        let element = /** @type {TexImageSource} */ (source);
+        let streamVideo = null;
+        if (source instanceof MediaStream) {
+          streamVideo = document.createElement('video');
+          streamVideo.muted = true;
+          streamVideo.playsInline = true;
+          streamVideo.srcObject = source;
+          streamVideo.play().catch(e => console.error("Could not play seed stream", e));
+          element = streamVideo;
+        }
+        // A full clock seeds on the first step rather than after a whole interval
+        dyeSeed = { element, streamVideo, options: { ...DEFAULT_DYE_SEED_OPTIONS, ...options }, clock: 1 };
+      }
+
+      // The stream itself belongs to the caller and keeps running
+      function stopDyeSeed() {
+        if (dyeSeed?.streamVideo) {
+          dyeSeed.streamVideo.pause();
+          dyeSeed.streamVideo.srcObject = null;
+        }
+        dyeSeed = null;
+      }
+
+      dyeSeeder = { start: startDyeSeed, stop: stopDyeSeed };
+
+      /**
+       * @param {TexImageSource} element
+       * @returns {{ width: number, height: number } | null} Null until the source has a frame to draw
+       */
+      function getSourceSize(element) {
+        if (element instanceof HTMLVideoElement) {
+          return element.readyState >= element.HAVE_CURRENT_DATA ? { width: element.videoWidth, height: element.videoHeight } : null;
+        }
+        if (element instanceof HTMLImageElement) {
+          return element.complete && element.naturalWidth ? { width: element.naturalWidth, height: element.naturalHeight } : null;
+        }
+        const { width, height } = /** @type {{ width: number, height: number }} */ (element);
+        return width && height ? { width, height } : null;
+      }
+
+      /**
+       * @param {number} dt
+       * @param {AudioMetrics} metrics
+       * @param {number} gain
+       */
+      function applyDyeSeed(dt, metrics, gain) {
+        const seed = dyeSeed;
+        const size = getSourceSize(seed.element);
+        if (!size) return;
+
+        const { blend, strength, continuous, rate, rateSource, gate } = seed.options;
+        if (continuous) {
+          const level = rateSource ? readModulationSource(metrics, rateSource, gain) ?? 0 : 1;
+          seed.clock += dt * rate * level;
+          if (seed.clock < 1) return;
+          seed.clock -= Math.floor(seed.clock);
+        }
+
+        // Videos have a new frame for every seed
+        if (!seedTexture) {
+          seedTexture = createImageTexture(seed.element, size.width, size.height);
+        } else {
+          uploadImage(seedTexture.texture, seed.element);
+          seedTexture.width = size.width;
+          seedTexture.height = size.height;
+        }
+
+        const threshold = gate ? 1 - (readModulationSource(metrics, gate, gain) ?? 0) : 0;
+        seedMaterial.setKeywords(BLEND_KEYWORDS[blend] || BLEND_KEYWORDS.add);
+        seedMaterial.bind();
+        gl.uniform1i(seedMaterial.uniforms.uTarget, dye.read.attach(0));
+        gl.uniform1i(seedMaterial.uniforms.uSource, seedTexture.attach(1));
+        gl.uniform2f(seedMaterial.uniforms.scale, ...coverScale(canvas.width / canvas.height, size.width / size.height));
+        gl.uniform1f(seedMaterial.uniforms.strength, strength);
+        gl.uniform1f(seedMaterial.uniforms.threshold, threshold);
+        blit(dye.write);
+        dye.swap();
+
+        if (!continuous) stopDyeSeed();
+      }
+
       // --- Blit Helper ---
-      const blit = (() => {
-        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+      /** @type {WebGLBuffer[]} */
+      let blitBuffers = [];
+
+      function initBlitBuffers() {
+        blitBuffers = [gl.createBuffer(), gl.createBuffer()];
+        gl.bindBuffer(gl.ARRAY_BUFFER, blitBuffers[0]);
         gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]), gl.STATIC_DRAW);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, blitBuffers[1]);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
         gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
         gl.enableVertexAttribArray(0);
+      }
+      initBlitBuffers();
 
-        return (target, clear = false) => {
-          if (target == null) {
-            gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
-            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-          } else {
-            gl.viewport(0, 0, target.width, target.height);
-            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
-          }
-          if (clear) {
-            gl.clearColor(0.0, 0.0, 0.0, 1.0);
-            gl.clear(gl.COLOR_BUFFER_BIT);
-          }
-          gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
-        };
-      })();
+      function blit(target, clear = false) {
+        if (target == null) {
+          gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+          gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        } else {
+          gl.viewport(0, 0, target.width, target.height);
+          gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        }
+        if (clear) {
+          gl.clearColor(0.0, 0.0, 0.0, 1.0);
+          gl.clear(gl.COLOR_BUFFER_BIT);
+        }
+        gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+      }
 
       // --- Simulation Steps ---
 
-      function splat(x, y, dx, dy, color) {
+      function splat(x, y, dx, dy, color, radius = config.SPLAT_RADIUS) {
         splatProgram.bind();
         gl.uniform1i(splatProgram.uniforms.uTarget, velocity.read.attach(0));
         gl.uniform1f(splatProgram.uniforms.aspectRatio, canvas.width / canvas.height);
         gl.uniform2f(splatProgram.uniforms.point, x, y);
         gl.uniform3f(splatProgram.uniforms.color, dx, dy, 0.0);
-        gl.uniform1f(splatProgram.uniforms.radius, correctRadius(config.SPLAT_RADIUS / 100.0));
+        gl.uniform1f(splatProgram.uniforms.radius, correctRadius(radius / 100.0));
         blit(velocity.write);
         velocity.swap();
 
@@ -883,6 +1555,59 @@ export default {
         dye.swap();
       }
 
+      /**
+       * Ring of outward splats around the emitter bound to the beat's band,
+       * or the first emitter. Bass beats push harder and wider.
+       * @param {BeatEvent} beat
+       */
+      function beatBurst(beat) {
+        const emitter = emitterStates.find(state => state.config.binding === beat.band) || emitterStates[0];
+        if (!emitter) return;
+
+        const currentColor = emitter.color;
+        const count = 6;
+        const isBass = beat.band === 'bass';
+        const force = config.SPLAT_FORCE * 0.05 * beat.strength * (isBass ? 1.5 : 1);
+        const radius = config.SPLAT_RADIUS * (isBass ? 2.5 : 1.5);
+
+        // Wash the current color towards white so beats read as flashes
+        const boost = 1 + beat.strength * 2;
+        const color = {
+          r: (currentColor.r * 0.6 + 0.4) * boost,
+          g: (currentColor.g * 0.6 + 0.4) * boost,
+          b: (currentColor.b * 0.6 + 0.4) * boost
+        };
+
+        // Offset each splat along its direction, otherwise the velocities cancel out
+        const offset = 0.02;
+        const aspectRatio = canvas.width / canvas.height;
+        for (let i = 0; i < count; i++) {
+          const angle = burstAngle + (i / count) * Math.PI * 2;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          splat(emitter.x + cos * offset / aspectRatio, emitter.y + sin * offset, cos * force, sin * force, color, radius / count);
+        }
+        burstAngle += Math.PI / count;
+      }
+
+      /**
+       * Splat a pointer movement in the current scheme colour, brighter when the music is louder
+       * @param {PointerSplat} movement
+       */
+      function pointerSplat(movement) {
+        const aspectRatio = canvas.width / canvas.height;
+        let { dx, dy } = movement;
+        if (aspectRatio < 1) dx *= aspectRatio;
+        if (aspectRatio > 1) dy /= aspectRatio;
+
+        const { metrics, gain } = audioRef;
+        const base = resolveColor(getColorContext(), 0, metrics.volume * gain);
+        const brightness = 0.3 * (1 + Math.min(metrics.volume * gain, 2));
+        const color = { r: base.r * brightness, g: base.g * brightness, b: base.b * brightness };
+
+        splat(movement.x, movement.y, dx * config.SPLAT_FORCE, dy * config.SPLAT_FORCE, color);
+      }
+
       function correctRadius(radius) {
         let aspectRatio = canvas.width / canvas.height;
         if (aspectRatio > 1) radius *= aspectRatio;
@@ -893,31 +1618,68 @@ export default {
       let lastTime = Date.now();
       let animationFrameId;
 
+      /** @type {Map<string, number>} Envelope level per modulation route */
+      const modulationEnvelopes = new Map();
+
+      /**
+       * Run the modulation matrix and write the results into `config`
+       * @param {number} dt
+       * @returns {number} Multiplier on emitter path speed
+       */
+      function applyModulation(dt) {
+        const { metrics, gain } = audioRef;
+        /** @type {any} */
+        const base = {};
+        for (const target of Object.keys(MODULATION_TARGETS)) {
+          base[target] = target === 'EMITTER_SPEED' ? 1 : baseConfig[target];
+        }
+
+        const { EMITTER_SPEED, ...values } = evaluateModulation(props.modulation, modulationEnvelopes, base, metrics, gain, dt);
+        Object.assign(config, values);
+        return EMITTER_SPEED;
+      }
+
       // Emitter State
-      let emitterPos = { x: 0.5, y: 0.5 };
-      let emitterAngle = 0;
-      let currentColor = { r: 0, g: 0, b: 0 };
-
-      function hslToRgb(h, s, l) {
-        let r, g, b;
-        if (s === 0) {
-          r = g = b = l; // achromatic
-        } else {
-          const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1 / 6) return p + (q - p) * 6 * t;
-            if (t < 1 / 2) return q;
-            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-            return p;
-          };
-          const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-          const p = 2 * l - q;
-          r = hue2rgb(p, q, h + 1 / 3);
-          g = hue2rgb(p, q, h);
-          b = hue2rgb(p, q, h - 1 / 3);
-        }
-        return { r, g, b };
+      let burstAngle = 0;
+      let currentHue = 0;
+      let cycleHue = 0;
+      const PITCH_CONFIDENCE = 0.8;
+
+      /**
+       * @returns {ColorContext}
+       */
+      function getColorContext() {
+        const { metrics, gain } = audioRef;
+        return { scheme: props.colorScheme, noteHue: currentHue, cycleHue, metrics, gain };
+      }
+
+      /**
+       * Musical note to hue. Uses the tracked pitch when it is confident and
+       * the strongest chromagram bin otherwise; holds the last hue when neither
+       * is usable so unvoiced frames don't flicker.
+       * @param {AudioMetrics} metrics
+       * @returns {number} Hue in 0-1
+       */
+      function getTargetHue(metrics) {
+        if (metrics.pitch > 20 && metrics.pitchConfidence >= PITCH_CONFIDENCE) {
+          // MIDI Note = 12 * log2(freq / 440) + 69
+          // Chroma = Note % 12 (0 = C, 1 = C#, etc.)
+          const note = Math.round(12 * Math.log2(metrics.pitch / 440) + 69);
+          currentHue = ((note % 12 + 12) % 12) / 12.0;
+        } else if (metrics.chroma) {
+          let peak = -1;
+          let peakValue = 0.5;
+          for (let i = 0; i < 12; i++) {
+            if (metrics.chroma[i] > peakValue) {
+              peakValue = metrics.chroma[i];
+              peak = i;
+            }
+          }
+          // Only switch on a clear winner over the held hue's class
+          const heldClass = Math.round(currentHue * 12) % 12;
+          if (peak !== -1 && peakValue > (metrics.chroma[heldClass] || 0) * 1.2) currentHue = peak / 12.0;
+        }
+        return currentHue;
       }
 
       function updateKeywords() {
@@ -926,38 +1688,12 @@ export default {
         if (config.BLOOM) displayKeywords.push("BLOOM");
         if (config.SUNRAYS) displayKeywords.push("SUNRAYS");
         displayMaterial.setKeywords(displayKeywords);
-      }
-
-      class Material {
-        constructor(vertexShader, fragmentShaderSource) {
-          this.vertexShader = vertexShader;
-          this.fragmentShaderSource = fragmentShaderSource;
-          this.programs = [];
-          this.activeProgram = null;
-          this.uniforms = {};
-        }
 
-        setKeywords(keywords) {
-          let hash = 0;
-          for (let i = 0; i < keywords.length; i++)
-            hash += hashCode(keywords[i]);
-
-          let program = this.programs[hash];
-          if (program == null) {
-            let fragmentShader = compileShader(gl.FRAGMENT_SHADER, this.fragmentShaderSource, keywords);
-            program = createProgram(this.vertexShader, fragmentShader);
-            this.programs[hash] = program;
-          }
-
-          if (program == this.activeProgram) return;
-
-          this.uniforms = getUniforms(program);
-          this.activeProgram = program;
-        }
-
-        bind() {
-          if (this.activeProgram) gl.useProgram(this.activeProgram);
-        }
+        const solverKeywords = obstacleMask ? ['OBSTACLES'] : [];
+        advectionMaterial.setKeywords(ext.supportLinearFiltering ? solverKeywords : [...solverKeywords, 'MANUAL_FILTERING']);
+        divergenceMaterial.setKeywords(solverKeywords);
+        pressureMaterial.setKeywords(solverKeywords);
+        gradientSubtractMaterial.setKeywords(solverKeywords);
       }
 
       function hashCode(s) {
@@ -974,69 +1710,105 @@ export default {
       updateKeywords();
 
       function update() {
-        const dt = Math.min((Date.now() - lastTime) / 1000, 0.016);
-        lastTime = Date.now();
+        const now = Date.now();
+        const frameTime = (now - lastTime) / 1000;
+        const dt = Math.min(frameTime, 0.016);
+        lastTime = now;
+
+        if (governor.sample(frameTime, config.ADAPTIVE_QUALITY)) applyConfig(props.config);
+        reportStats(frameTime);
+
+        resizeCanvas(scaleByPixelRatio(canvas.clientWidth), scaleByPixelRatio(canvas.clientHeight));
+        if (config.PAUSED) {
+          // Input that arrives while frozen would all land at once on resume
+          pendingBeats.length = 0;
+          pendingPointerSplats.length = 0;
+        } else {
+          advance(dt * config.TIME_SCALE);
+        }
+        render();
+
+        animationFrameId = requestAnimationFrame(update);
+      }
 
-        // Resize if needed
-        const width = scaleByPixelRatio(canvas.clientWidth);
-        const height = scaleByPixelRatio(canvas.clientHeight);
+      let statsTime = 0;
+
+      /**
+       * @param {number} frameTime
+       */
+      function reportStats(frameTime) {
+        if (!props.stats) return;
+        statsTime += frameTime;
+        if (statsTime < 0.5) return;
+        statsTime = 0;
+
+        /** @type {FrameStats} */
+        const stats = {
+          fps: governor.fps,
+          tier: config.ADAPTIVE_QUALITY ? governor.tier : 0,
+          tierCount: QUALITY_TIERS.length,
+          adaptive: config.ADAPTIVE_QUALITY,
+          simResolution: { width: velocity.width, height: velocity.height },
+          dyeResolution: { width: dye.width, height: dye.height },
+          pressureIterations: config.PRESSURE_ITERATIONS,
+          bloom: config.BLOOM,
+          sunrays: config.SUNRAYS
+        };
+        emit('stats', stats);
+      }
+
+      /**
+       * @param {number} width
+       * @param {number} height
+       */
+      function resizeCanvas(width, height) {
         if (canvas.width !== width || canvas.height !== height) {
           canvas.width = width;
           canvas.height = height;
           initFramebuffers();
         }
+      }
 
-        // --- Emitter Logic ---
-        // Move emitter in a smooth path (Lissajous-like)
-        const t = Date.now() * 0.0005;
-        emitterPos.x = 0.5 + Math.sin(t) * 0.3;
-        emitterPos.y = 0.5 + Math.cos(t * 1.3) * 0.3;
+      /**
+       * Advance by dt seconds of simulation time, in steps no longer than MAX_STEP
+       * so sped-up playback and long offline frames stay stable
+       * @param {number} dt
+       */
+      function advance(dt) {
+        const steps = Math.max(1, Math.ceil(dt / MAX_STEP - 1e-6));
+        for (let i = 0; i < steps; i++) step(dt / steps);
+      }
 
-        // Get Audio Data
-        const { metrics, gain } = audioRef;
-        const volume = metrics.volume * gain;
-        const bass = metrics.bass * gain;
-        const mid = metrics.mid * gain;
-        const treble = metrics.treble * gain;
+      frameStepper = () => {
+        if (!config.PAUSED || isOffline || contextLost) return;
+        advance(MAX_STEP * config.TIME_SCALE);
+      };
 
-        // Splat based on audio
-        if (volume > 0.01) {
-          // Frequency Mapping
-          const freq = metrics.frequency || 0;
+      /**
+       * Advance emitters, splats and the fluid by dt seconds
+       * @param {number} dt
+       */
+      function step(dt) {
+        const emitterSpeed = applyModulation(dt);
 
-          // Musical Note Mapping (Chroma)
-          // MIDI Note = 12 * log2(freq / 440) + 69
-          // Chroma = Note % 12 (0 = C, 1 = C#, etc.)
-          let targetHue = 0;
-          if (freq > 20) { // Minimum audible frequency check
-            const note = 12 * Math.log2(freq / 440) + 69;
-            // Use modulo 12 to get chroma (0-12), then normalize to 0-1 for Hue
-            // We add 1200 to ensure the dividend is positive before modulo if needed,
-            // though freq > 20 ensures note is > ~13.
-            const chroma = (note % 12 + 12) % 12;
-            targetHue = chroma / 12.0;
+        // --- Emitter Logic ---
+        // Each emitter moves along its own path and splats from its bound metric
+        const { metrics, gain } = audioRef;
+        getTargetHue(metrics);
+        // COLOR_UPDATE_SPEED 10 turns the hue once every ten seconds
+        cycleHue = (cycleHue + dt * config.COLOR_UPDATE_SPEED * 0.01) % 1;
+        const colorContext = getColorContext();
+        for (const emitter of emitterStates) {
+          const request = stepEmitter(emitter, dt * emitterSpeed, metrics, gain, colorContext);
+          if (request) {
+            splat(request.x, request.y, request.dx, request.dy, request.color, config.SPLAT_RADIUS * request.radiusScale);
           }
-
-          const targetRgb = hslToRgb(targetHue, 1.0, 0.5);
-
-          // Smooth color transition
-          const lerpSpeed = 0.1;
-          currentColor.r += (targetRgb.r - currentColor.r) * lerpSpeed;
-          currentColor.g += (targetRgb.g - currentColor.g) * lerpSpeed;
-          currentColor.b += (targetRgb.b - currentColor.b) * lerpSpeed;
-
-          // Enhance brightness based on volume
-          const r = currentColor.r * (1 + volume);
-          const g = currentColor.g * (1 + volume);
-          const b = currentColor.b * (1 + volume);
-
-          // Direction based on movement (tangent)
-          const dx = Math.cos(t) * 100 * volume;
-          const dy = -Math.sin(t * 1.3) * 100 * volume;
-
-          splat(emitterPos.x, emitterPos.y, dx, dy, { r, g, b });
         }
 
+        while (pendingBeats.length) beatBurst(pendingBeats.shift());
+        while (pendingPointerSplats.length) pointerSplat(pendingPointerSplats.shift());
+        if (dyeSeed) applyDyeSeed(dt, metrics, gain);
+
         // --- Fluid Simulation Steps ---
 
         // Curl
@@ -1056,9 +1828,11 @@ export default {
         velocity.swap();
 
         // Divergence
-        divergenceProgram.bind();
-        gl.uniform2f(divergenceProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
-        gl.uniform1i(divergenceProgram.uniforms.uVelocity, velocity.read.attach(0));
+        divergenceMaterial.bind();
+        gl.uniform2f(divergenceMaterial.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
+        gl.uniform1i(divergenceMaterial.uniforms.uVelocity, velocity.read.attach(0));
+        // Unit 4 is free in every pass, so the mask stays out of the display pass's texture slots
+        if (obstacleMask) gl.uniform1i(divergenceMaterial.uniforms.uObstacles, obstacleMask.attach(4));
         blit(divergence);
 
         // Clear Pressure
@@ -1069,47 +1843,65 @@ export default {
         pressure.swap();
 
         // Pressure Solving
-        pressureProgram.bind();
-        gl.uniform2f(pressureProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
-        gl.uniform1i(pressureProgram.uniforms.uDivergence, divergence.attach(0));
+        pressureMaterial.bind();
+        gl.uniform2f(pressureMaterial.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
+        gl.uniform1i(pressureMaterial.uniforms.uDivergence, divergence.attach(0));
+        if (obstacleMask) gl.uniform1i(pressureMaterial.uniforms.uObstacles, obstacleMask.attach(4));
         for (let i = 0; i < config.PRESSURE_ITERATIONS; i++) {
-          gl.uniform1i(pressureProgram.uniforms.uPressure, pressure.read.attach(1));
+          gl.uniform1i(pressureMaterial.uniforms.uPressure, pressure.read.attach(1));
           blit(pressure.write);
           pressure.swap();
         }
 
         // Gradient Subtract
-        gradienSubtractProgram.bind();
-        gl.uniform2f(gradienSubtractProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
-        gl.uniform1i(gradienSubtractProgram.uniforms.uPressure, pressure.read.attach(0));
-        gl.uniform1i(gradienSubtractProgram.uniforms.uVelocity, velocity.read.attach(1));
+        gradientSubtractMaterial.bind();
+        gl.uniform2f(gradientSubtractMaterial.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
+        gl.uniform1i(gradientSubtractMaterial.uniforms.uPressure, pressure.read.attach(0));
+        gl.uniform1i(gradientSubtractMaterial.uniforms.uVelocity, velocity.read.attach(1));
+        if (obstacleMask) gl.uniform1i(gradientSubtractMaterial.uniforms.uObstacles, obstacleMask.attach(4));
         blit(velocity.write);
         velocity.swap();
 
         // Advection (Velocity)
-        advectionProgram.bind();
-        gl.uniform2f(advectionProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
+        advectionMaterial.bind();
+        gl.uniform2f(advectionMaterial.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
         if (!ext.supportLinearFiltering)
-          gl.uniform2f(advectionProgram.uniforms.dyeTexelSize, velocity.texelSizeX, velocity.texelSizeY);
+          gl.uniform2f(advectionMaterial.uniforms.dyeTexelSize, velocity.texelSizeX, velocity.texelSizeY);
         let velocityId = velocity.read.attach(0);
-        gl.uniform1i(advectionProgram.uniforms.uVelocity, velocityId);
-        gl.uniform1i(advectionProgram.uniforms.uSource, velocityId);
-        gl.uniform1f(advectionProgram.uniforms.dt, dt);
-        gl.uniform1f(advectionProgram.uniforms.dissipation, config.VELOCITY_DISSIPATION);
+        gl.uniform1i(advectionMaterial.uniforms.uVelocity, velocityId);
+        gl.uniform1i(advectionMaterial.uniforms.uSource, velocityId);
+        gl.uniform1f(advectionMaterial.uniforms.dt, dt);
+        gl.uniform1f(advectionMaterial.uniforms.dissipation, config.VELOCITY_DISSIPATION);
+        if (obstacleMask) gl.uniform1i(advectionMaterial.uniforms.uObstacles, obstacleMask.attach(4));
         blit(velocity.write);
         velocity.swap();
 
         // Advection (Dye)
         if (!ext.supportLinearFiltering)
-          gl.uniform2f(advectionProgram.uniforms.dyeTexelSize, dye.texelSizeX, dye.texelSizeY);
-        gl.uniform1i(advectionProgram.uniforms.uVelocity, velocity.read.attach(0));
-        gl.uniform1i(advectionProgram.uniforms.uSource, dye.read.attach(1));
-        gl.uniform1f(advectionProgram.uniforms.dissipation, config.DENSITY_DISSIPATION);
+          gl.uniform2f(advectionMaterial.uniforms.dyeTexelSize, dye.texelSizeX, dye.texelSizeY);
+        gl.uniform1i(advectionMaterial.uniforms.uVelocity, velocity.read.attach(0));
+        gl.uniform1i(advectionMaterial.uniforms.uSource, dye.read.attach(1));
+        gl.uniform1f(advectionMaterial.uniforms.dissipation, config.DENSITY_DISSIPATION);
         blit(dye.write);
         dye.swap();
+      }
 
-        // --- Post Processing ---
+      function render() {
+        applyPostProcessing();
+        if (config.TRANSPARENT) {
+          // The display pass writes every pixel, so its own alpha is all the canvas holds
+          drawDisplay(null, canvas.width, canvas.height);
+        } else {
+          drawBackground(null, canvas.width, canvas.height);
+          gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+          gl.enable(gl.BLEND);
+          drawDisplay(null, canvas.width, canvas.height);
+          gl.disable(gl.BLEND);
+        }
+        drawSilhouette(null);
+      }
 
+      function applyPostProcessing() {
         if (config.BLOOM) {
           applyBloom(dye.read, bloom);
         }
@@ -1117,12 +1909,17 @@ export default {
           applySunrays(dye.read, dye.write, sunrays);
           blur(sunrays, sunraysTemp, 1);
         }
+      }
 
-        // --- Display ---
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      /**
+       * @param {ReturnType<typeof createFBO> | null} target - null for the canvas
+       * @param {number} width
+       * @param {number} height
+       */
+      function drawDisplay(target, width, height) {
         displayMaterial.bind();
         if (config.SHADING)
-          gl.uniform2f(displayMaterial.uniforms.texelSize, 1.0 / canvas.width, 1.0 / canvas.height);
+          gl.uniform2f(displayMaterial.uniforms.texelSize, 1.0 / width, 1.0 / height);
         gl.uniform1i(displayMaterial.uniforms.uTexture, dye.read.attach(0));
         if (config.BLOOM) {
           gl.uniform1i(displayMaterial.uniforms.uBloom, bloom.attach(1));
@@ -1131,11 +1928,152 @@ export default {
         if (config.SUNRAYS)
           gl.uniform1i(displayMaterial.uniforms.uSunrays, sunrays.attach(3));
 
-        blit(null);
+        blit(target);
+      }
 
-        animationFrameId = requestAnimationFrame(update);
+      /**
+       * Fill the target with the configured background
+       * @param {ReturnType<typeof createFBO> | null} target - null for the canvas
+       * @param {number} width
+       * @param {number} height
+       */
+      function drawBackground(target, width, height) {
+        const { r, g, b } = config.BACK_COLOR;
+        if (config.BACK_MODE === 'gradient') {
+          const end = config.BACK_GRADIENT_COLOR;
+          const angle = config.BACK_GRADIENT_ANGLE * Math.PI / 180;
+          gradientProgram.bind();
+          gl.uniform3f(gradientProgram.uniforms.colorA, r, g, b);
+          gl.uniform3f(gradientProgram.uniforms.colorB, end.r, end.g, end.b);
+          gl.uniform2f(gradientProgram.uniforms.direction, Math.sin(angle), Math.cos(angle));
+          gl.uniform1f(gradientProgram.uniforms.aspectRatio, width / height);
+          blit(target);
+        } else if (config.BACK_MODE === 'image' && backgroundImage) {
+          imageProgram.bind();
+          gl.uniform1i(imageProgram.uniforms.uTexture, backgroundImage.attach(0));
+          gl.uniform2f(imageProgram.uniforms.scale, ...coverScale(width / height, backgroundImage.width / backgroundImage.height));
+          blit(target);
+        } else {
+          drawColor(target, r, g, b, 1);
+        }
+      }
+
+      /**
+       * Draw the obstacle over the fluid, when it is shown as a silhouette
+       * @param {ReturnType<typeof createFBO> | null} target - null for the canvas
+       */
+      function drawSilhouette(target) {
+        if (!config.OBSTACLE_SILHOUETTE || !obstacleMask) return;
+        const { r, g, b } = config.OBSTACLE_COLOR;
+        silhouetteProgram.bind();
+        gl.uniform1i(silhouetteProgram.uniforms.uObstacles, obstacleMask.attach(0));
+        gl.uniform3f(silhouetteProgram.uniforms.color, r, g, b);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.enable(gl.BLEND);
+        blit(target);
+        gl.disable(gl.BLEND);
+      }
+
+      /**
+       * @param {ReturnType<typeof createFBO> | null} target
+       * @param {number} r
+       * @param {number} g
+       * @param {number} b
+       * @param {number} a
+       */
+      function drawColor(target, r, g, b, a) {
+        colorProgram.bind();
+        gl.uniform4f(colorProgram.uniforms.color, r, g, b, a);
+        blit(target);
+      }
+
+      /**
+       * @param {SnapshotOptions} options
+       * @returns {Promise<Blob>}
+       */
+      function captureSnapshot({ resolution = config.CAPTURE_RESOLUTION, transparent = config.TRANSPARENT }) {
+        if (contextLost) return Promise.reject(new Error('WebGL context lost'));
+
+        // Large captures are scaled down to what the GPU can render into
+        let { width, height } = getResolution(resolution);
+        const scale = Math.min(1, gl.getParameter(gl.MAX_TEXTURE_SIZE) / Math.max(width, height));
+        width = Math.floor(width * scale);
+        height = Math.floor(height * scale);
+
+        // 8-bit RGBA is renderable and readable everywhere, unlike the half-float simulation textures
+        const target = createFBO(width, height, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, gl.NEAREST);
+        if (transparent) drawColor(target, 0, 0, 0, 0);
+        else drawBackground(target, width, height);
+
+        applyPostProcessing();
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.enable(gl.BLEND);
+        drawDisplay(target, width, height);
+        gl.disable(gl.BLEND);
+        drawSilhouette(target);
+
+        const pixels = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        deleteFBO(target);
+
+        return pixelsToPng(pixels, width, height);
+      }
+
+      snapshotRenderer = captureSnapshot;
+
+      function clearDoubleFBO(target) {
+        clearProgram.bind();
+        gl.uniform1i(clearProgram.uniforms.uTexture, target.read.attach(0));
+        gl.uniform1f(clearProgram.uniforms.value, 0);
+        blit(target.write);
+        target.swap();
+      }
+
+      // Clear the fluid and rewind everything that depends on elapsed time,
+      // so an offline render of the same input always produces the same frames
+      function resetSimulation() {
+        clearDoubleFBO(dye);
+        clearDoubleFBO(velocity);
+        clearDoubleFBO(pressure);
+        emitterStates = syncEmitterStates(props.emitters, []);
+        modulationEnvelopes.clear();
+        pendingBeats.length = 0;
+        pendingPointerSplats.length = 0;
+        burstAngle = 0;
+        currentHue = 0;
+        cycleHue = 0;
+        if (dyeSeed) dyeSeed.clock = 1;
       }
 
+      offlineRenderer = {
+        begin({ width, height }) {
+          isOffline = true;
+          cancelAnimationFrame(animationFrameId);
+          // Offline frames take as long as they need, so render them at full quality
+          governor.reset();
+          applyConfig(props.config);
+          resizeCanvas(width, height);
+          resetSimulation();
+        },
+        renderFrame({ metrics, beats, dt }) {
+          // Frames rendered now would be blank, so stop the render rather than produce them
+          if (contextLost) throw new Error('WebGL context lost');
+          audioRef.metrics = metrics;
+          if (props.beatBursts) pendingBeats.push(...beats);
+          // Real time regardless of the live speed control, so the video stays in sync with the audio
+          advance(dt);
+          render();
+        },
+        end() {
+          if (!isOffline) return;
+          isOffline = false;
+          audioRef.metrics = audioMetrics.value;
+          lastTime = Date.now();
+          if (!contextLost) update();
+        }
+      };
+
       function applyBloom(source, destination) {
         if (bloomFramebuffers.length < 2) return;
 
@@ -1206,13 +2144,168 @@ export default {
         }
       }
 
+      /**
+       * Switch to a new config without remounting, rebuilding only what the changed keys need
+       * @param {Partial<FluidConfig>} next
+       */
+      function applyConfig(next) {
+        const previous = { ...config };
+        resolveConfig(next);
+
+        if (FRAMEBUFFER_KEYS.some(key => config[key] !== previous[key])) initFramebuffers();
+        if (KEYWORD_KEYS.some(key => config[key] !== previous[key])) updateKeywords();
+        if (OBSTACLE_KEYS.some(key => config[key] !== previous[key])) updateObstacleMask();
+      }
+
+      /**
+       * Replace the config with `next` clamped to what the device and the quality governor allow
+       * @param {Partial<FluidConfig>} next
+       */
+      function resolveConfig(next) {
+        Object.assign(config, createFluidConfig(next));
+        applyDeviceLimits();
+        if (config.ADAPTIVE_QUALITY) limitQuality(config, governor.tier);
+        else governor.reset();
+        baseConfig = { ...config };
+      }
+
+      // Stopped on unmount along with everything else created here
+      const stopWatches = [watch(() => props.config, applyConfig, { deep: true })];
+
+      /** @type {ImageTexture | null} */
+      let backgroundImage = null;
+      let backgroundImageUrl = '';
+
+      /**
+       * Upload the image at `url` as the background texture, replacing the previous one
+       * @param {string} url
+       */
+      function loadBackgroundImage(url) {
+        if (url === backgroundImageUrl) return;
+        backgroundImageUrl = url;
+        if (backgroundImage) gl.deleteTexture(backgroundImage.texture);
+        backgroundImage = null;
+        if (!url) return;
+
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+          // A newer image may have been chosen while this one loaded; while the context
+          // is lost handleContextRestored() loads it again
+          if (url !== backgroundImageUrl || contextLost) return;
+          backgroundImage = createImageTexture(image, image.naturalWidth, image.naturalHeight);
+        };
+        image.onerror = (e) => console.error("Failed to load background image", e);
+        image.src = url;
+      }
+
+      stopWatches.push(watch(() => props.config.BACK_IMAGE, url => loadBackgroundImage(url || ''), { immediate: true }));
+      stopWatches.push(watch(() => props.config.OBSTACLE_IMAGE, url => loadObstacleImage(url || ''), { immediate: true }));
+
+      // --- Context Loss ---
+      // The browser can drop the context at any time (GPU reset, backgrounded mobile tab).
+      // Every GL object dies with it; emitter, modulation and colour state are plain JS and carry on.
+      let contextLost = false;
+
+      /**
+       * @param {Event} e
+       */
+      function handleContextLost(e) {
+        // Without preventDefault the context is never restored
+        e.preventDefault();
+        contextLost = true;
+        cancelAnimationFrame(animationFrameId);
+      }
+
+      function handleContextRestored() {
+        contextLost = false;
+        // Extensions have to be enabled again on the new context
+        Object.assign(ext, getWebGLContext(canvas).ext);
+        // The new context may come from a different GPU; clamp again before anything is built
+        resolveConfig(props.config);
+
+        shaders.forEach(shader => shader.compile());
+        programs.forEach(program => program.link());
+        materials.forEach(material => material.reset());
+        // The mask texture died too; initFramebuffers() below draws it again
+        obstacleMask = null;
+        seedTexture = null;
+        updateKeywords();
+        initBlitBuffers();
+
+        // The old framebuffers died with the context; build them from scratch rather than resize or delete them
+        dye = null;
+        velocity = null;
+        divergence = null;
+        curl = null;
+        pressure = null;
+        bloom = null;
+        bloomFramebuffers.length = 0;
+        sunrays = null;
+        sunraysTemp = null;
+        initFramebuffers();
+
+        const url = backgroundImageUrl;
+        backgroundImage = null;
+        backgroundImageUrl = '';
+        loadBackgroundImage(url);
+
+        // Input that arrived while paused is stale
+        pendingBeats.length = 0;
+        pendingPointerSplats.length = 0;
+
+        if (!isOffline) {
+          lastTime = Date.now();
+          update();
+        }
+      }
+
+      canvas.addEventListener('webglcontextlost', handleContextLost);
+      canvas.addEventListener('webglcontextrestored', handleContextRestored);
+
       // Start
       initFramebuffers();
       update();
 
-      onBeforeUnmount(() => {
+      // Free every GL object, then the context itself, so remounting starts from nothing
+      function dispose() {
+        offlineRenderer = null;
+        snapshotRenderer = null;
+        frameStepper = null;
+        dyeSeeder = null;
+        stopDyeSeed();
         cancelAnimationFrame(animationFrameId);
-      });
+        stopWatches.forEach(stop => stop());
+        canvas.removeEventListener('webglcontextlost', handleContextLost);
+        canvas.removeEventListener('webglcontextrestored', handleContextRestored);
+        if (contextLost) return;
+
+        deleteDoubleFBO(dye);
+        deleteDoubleFBO(velocity);
+        deleteFBO(divergence);
+        deleteFBO(curl);
+        deleteDoubleFBO(pressure);
+        deleteFBO(bloom);
+        bloomFramebuffers.forEach(deleteFBO);
+        deleteFBO(sunrays);
+        deleteFBO(sunraysTemp);
+        if (backgroundImage) gl.deleteTexture(backgroundImage.texture);
+        if (obstacleMask) gl.deleteTexture(obstacleMask.texture);
+        if (seedTexture) gl.deleteTexture(seedTexture.texture);
+
+        programs.forEach(program => gl.deleteProgram(program.program));
+        materials.forEach(material => {
+          Object.values(material.programs).forEach(program => gl.deleteProgram(program));
+          material.fragmentShaders.forEach(shader => gl.deleteShader(shader));
+        });
+        shaders.forEach(shader => gl.deleteShader(shader.shader));
+        blitBuffers.forEach(buffer => gl.deleteBuffer(buffer));
+
+        // Browsers cap the number of live contexts; don't wait for garbage collection to release this one
+        gl.getExtension('WEBGL_lose_context')?.loseContext();
+      }
+
+      onBeforeUnmount(dispose);
     });
 
     return { canvasRef };
@@ -0,0 +1,141 @@
+import { MODULATION_SOURCES, MODULATION_TARGETS, MODULATION_CURVES, createModulationRoute } from '../visualizer/modulation.js';
+
+/**
+ * @typedef {import('../visualizer/modulation.js').ModulationRoute} ModulationRoute
+ * @typedef {import('../visualizer/modulation.js').ModulationTarget} ModulationTarget
+ */
+
+export default {
+  props: {
+    /** @type {ModulationRoute[]} */
+    routes: {
+      type: Array,
+      required: true
+    }
+  },
+  emits: ['update'],
+  setup(props, { emit }) {
+    /**
+     * @param {ModulationRoute} route
+     * @param {keyof ModulationRoute} key
+     * @param {Event} e
+     */
+    const handleChange = (route, key, e) => {
+      const input = /** @type {HTMLInputElement | HTMLSelectElement} */ (e.target);
+      const isNumber = input.type === 'range' || input.type === 'number';
+      let changed = { ...route, [key]: isNumber ? Number(input.value) : input.value };
+
+      // A new target brings its own range
+      if (key === 'target') {
+        const { min, max } = MODULATION_TARGETS[/** @type {ModulationTarget} */ (input.value)];
+        changed = { ...changed, min, max };
+      }
+      emit('update', props.routes.map(r => r.id === route.id ? changed : r));
+    };
+
+    const handleAdd = () => {
+      emit('update', [...props.routes, createModulationRoute()]);
+    };
+
+    /**
+     * @param {ModulationRoute} route
+     */
+    const handleRemove = (route) => {
+      emit('update', props.routes.filter(r => r.id !== route.id));
+    };
+
+    return {
+      sources: MODULATION_SOURCES,
+      targets: MODULATION_TARGETS,
+      curves: MODULATION_CURVES,
+      handleChange,
+      handleAdd,
+      handleRemove
+    };
+  },
+  template: `
+    <div class="w-64 max-h-[70vh] overflow-y-auto py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">MODULATION</div>
+
+      <div v-for="route in routes" :key="route.id" class="px-4 py-2 border-t border-white/10">
+        <div class="flex items-center gap-2">
+          <select
+            class="bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="route.source"
+            @change="handleChange(route, 'source', $event)"
+          >
+            <option v-for="source in sources" :key="source" :value="source" class="bg-black">{{ source }}</option>
+          </select>
+          <span class="text-white/30">→</span>
+          <select
+            class="flex-1 min-w-0 bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="route.target"
+            @change="handleChange(route, 'target', $event)"
+          >
+            <option v-for="(info, target) in targets" :key="target" :value="target" class="bg-black">{{ info.label }}</option>
+          </select>
+          <button class="text-white/30 hover:text-white" title="Remove route" @click="handleRemove(route)">×</button>
+        </div>
+
+        <label class="flex items-center justify-between gap-3 pt-2">
+          <span>Curve</span>
+          <select
+            class="bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="route.curve"
+            @change="handleChange(route, 'curve', $event)"
+          >
+            <option v-for="curve in curves" :key="curve" :value="curve" class="bg-black">{{ curve }}</option>
+          </select>
+        </label>
+        <label class="flex items-center justify-between gap-3 pt-1">
+          <span>Depth</span>
+          <span class="flex items-center gap-2">
+            <input type="range" class="w-24 accent-white" min="-1" max="1" step="0.05" :value="route.depth" @input="handleChange(route, 'depth', $event)" />
+            <span class="w-10 text-right tabular-nums text-white/40">{{ route.depth.toFixed(2) }}</span>
+          </span>
+        </label>
+        <label class="flex items-center justify-between gap-3 pt-1">
+          <span>Attack</span>
+          <span class="flex items-center gap-2">
+            <input type="range" class="w-24 accent-white" min="0" max="1" step="0.01" :value="route.attack" @input="handleChange(route, 'attack', $event)" />
+            <span class="w-10 text-right tabular-nums text-white/40">{{ route.attack.toFixed(2) }}s</span>
+          </span>
+        </label>
+        <label class="flex items-center justify-between gap-3 pt-1">
+          <span>Release</span>
+          <span class="flex items-center gap-2">
+            <input type="range" class="w-24 accent-white" min="0" max="2" step="0.01" :value="route.release" @input="handleChange(route, 'release', $event)" />
+            <span class="w-10 text-right tabular-nums text-white/40">{{ route.release.toFixed(2) }}s</span>
+          </span>
+        </label>
+        <div class="flex items-center justify-between gap-3 pt-1">
+          <span>Range</span>
+          <span class="flex items-center gap-1">
+            <input
+              type="number"
+              class="w-14 bg-transparent border-b border-white/20 outline-none text-right text-white/80"
+              :min="targets[route.target].min"
+              :max="route.max"
+              :step="(targets[route.target].max - targets[route.target].min) / 100"
+              :value="route.min"
+              @change="handleChange(route, 'min', $event)"
+            />
+            <span class="text-white/30">–</span>
+            <input
+              type="number"
+              class="w-14 bg-transparent border-b border-white/20 outline-none text-right text-white/80"
+              :min="route.min"
+              :max="targets[route.target].max"
+              :step="(targets[route.target].max - targets[route.target].min) / 100"
+              :value="route.max"
+              @change="handleChange(route, 'max', $event)"
+            />
+          </span>
+        </div>
+      </div>
+
+      <div v-if="!routes.length" class="px-4 py-1.5 text-white/30">No routes</div>
+      <button class="px-4 pt-2 text-[10px] tracking-[0.3em] hover:text-white" @click="handleAdd">+ ADD ROUTE</button>
+    </div>
+  `
+};
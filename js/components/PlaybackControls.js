@@ -0,0 +1,66 @@
+/**
+ * @typedef {import('../services/audioManager.js').PlaybackState} PlaybackState
+ */
+
+/**
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+}
+
+export default {
+  props: {
+    /** @type {PlaybackState} */
+    playback: {
+      type: Object,
+      required: true
+    },
+    /** @type {string} */
+    label: {
+      type: String,
+      default: ''
+    }
+  },
+  emits: ['toggle', 'seek'],
+  setup(props, { emit }) {
+    /**
+     * @param {Event} e
+     */
+    const handleSeek = (e) => {
+      emit('seek', Number(/** @type {HTMLInputElement} */ (e.target).value));
+    };
+
+    return { formatTime, handleSeek };
+  },
+  template: `
+    <div class="flex items-center gap-3 px-4 py-2 rounded-full bg-black/40 backdrop-blur-md border border-white/10 text-[10px] tracking-[0.2em] text-white/60">
+      <button
+        class="w-6 h-6 flex items-center justify-center text-white/80 hover:text-white"
+        @click="$emit('toggle')"
+      >
+        {{ playback.playing ? '❚❚' : '▶' }}
+      </button>
+
+      <span class="tabular-nums">{{ formatTime(playback.currentTime) }}</span>
+
+      <input
+        v-if="playback.duration > 0"
+        type="range"
+        class="w-48 accent-white/70"
+        min="0"
+        :max="playback.duration"
+        step="0.1"
+        :value="playback.currentTime"
+        @input="handleSeek"
+      />
+
+      <span v-if="playback.duration > 0" class="tabular-nums">{{ formatTime(playback.duration) }}</span>
+      <span v-else>LIVE</span>
+
+      <span class="max-w-[12rem] truncate text-white/40">{{ label }}</span>
+    </div>
+  `
+};
@@ -0,0 +1,92 @@
+import { ref } from 'vue';
+
+/**
+ * @typedef {import('../visualizer/presets.js').Preset} Preset
+ */
+
+export default {
+  props: {
+    /** @type {Preset[]} Built-in presets first, then the user's */
+    presets: {
+      type: Array,
+      required: true
+    },
+    /** @type {string | null} */
+    activeName: {
+      type: String,
+      default: null
+    }
+  },
+  emits: ['select', 'save', 'delete', 'export', 'import'],
+  setup(props, { emit }) {
+    const saveName = ref('');
+    /** @type {import('vue').Ref<HTMLInputElement | null>} */
+    const importInputRef = ref(null);
+
+    const handleSave = () => {
+      const name = saveName.value.trim();
+      if (!name) return;
+      emit('save', name);
+      saveName.value = '';
+    };
+
+    /**
+     * @param {Event} e
+     */
+    const handleImportChange = (e) => {
+      const input = /** @type {HTMLInputElement} */ (e.target);
+      const file = input.files?.[0];
+      if (file) emit('import', file);
+      input.value = '';
+    };
+
+    return { saveName, importInputRef, handleSave, handleImportChange };
+  },
+  template: `
+    <div class="min-w-[14rem] max-w-xs py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">PRESETS</div>
+      <div
+        v-for="preset in presets"
+        :key="(preset.builtIn ? 'built-in:' : 'user:') + preset.name"
+        class="flex items-center hover:bg-white/10"
+      >
+        <button
+          class="flex-1 px-4 py-1.5 text-left truncate hover:text-white"
+          :class="{ 'text-white': preset.name === activeName }"
+          @click="$emit('select', preset)"
+        >
+          {{ preset.name }}
+        </button>
+        <button
+          v-if="!preset.builtIn"
+          class="px-3 text-white/30 hover:text-white"
+          title="Delete preset"
+          @click="$emit('delete', preset)"
+        >
+          ×
+        </button>
+      </div>
+
+      <form class="flex gap-2 px-4 pt-2 mt-2 border-t border-white/10" @submit.prevent="handleSave">
+        <input
+          v-model="saveName"
+          placeholder="Save current as…"
+          class="flex-1 min-w-0 bg-transparent border-b border-white/20 outline-none focus:border-white/50 text-white/80"
+        />
+        <button type="submit" class="text-[10px] tracking-[0.3em] hover:text-white">SAVE</button>
+      </form>
+
+      <div class="flex gap-4 px-4 pt-3 text-[10px] tracking-[0.3em]">
+        <button class="hover:text-white" @click="$emit('export')">EXPORT</button>
+        <button class="hover:text-white" @click="importInputRef?.click()">IMPORT</button>
+      </div>
+      <input
+        ref="importInputRef"
+        type="file"
+        accept="application/json,.json"
+        class="hidden"
+        @change="handleImportChange"
+      />
+    </div>
+  `
+};
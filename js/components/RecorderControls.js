@@ -0,0 +1,41 @@
+import { formatTime } from './PlaybackControls.js';
+
+export default {
+  props: {
+    /** @type {boolean} */
+    recording: {
+      type: Boolean,
+      required: true
+    },
+    /** @type {number} Seconds recorded so far */
+    duration: {
+      type: Number,
+      default: 0
+    },
+    /** @type {boolean} */
+    supported: {
+      type: Boolean,
+      default: true
+    }
+  },
+  emits: ['toggle'],
+  setup() {
+    return { formatTime };
+  },
+  template: `
+    <button
+      class="flex items-center gap-2 text-[10px] tracking-[0.3em] text-white/40 hover:text-white/80 disabled:opacity-30 disabled:cursor-not-allowed"
+      :class="{ 'text-white/90': recording }"
+      :disabled="!supported"
+      :title="supported ? '' : 'Recording is not supported in this browser'"
+      @click="$emit('toggle')"
+    >
+      <span
+        class="w-2 h-2 rounded-full"
+        :class="recording ? 'bg-red-500 animate-pulse' : 'border border-white/40'"
+      ></span>
+      <span v-if="recording" class="tabular-nums">{{ formatTime(duration) }}</span>
+      <span>{{ recording ? 'STOP' : 'REC' }}</span>
+    </button>
+  `
+};
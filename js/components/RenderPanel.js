@@ -0,0 +1,117 @@
+import { ref } from 'vue';
+
+/**
+ * @typedef {import('../services/offlineRender.js').OfflineRenderFormat} OfflineRenderFormat
+ */
+
+/**
+ * @typedef {Object} RenderRequest
+ * @property {File} file
+ * @property {number} fps
+ * @property {number} width
+ * @property {number} height
+ * @property {OfflineRenderFormat} format
+ */
+
+/**
+ * @typedef {Object} RenderProgress
+ * @property {'analysing' | 'rendering'} stage
+ * @property {number} progress - 0-1
+ */
+
+// Output sizes; all even, which 4:2:0 video encoding requires
+const SIZES = [
+  { label: '720p', width: 1280, height: 720 },
+  { label: '1080p', width: 1920, height: 1080 },
+  { label: 'Square', width: 1080, height: 1080 },
+  { label: 'Vertical', width: 1080, height: 1920 },
+  { label: '4K', width: 3840, height: 2160 }
+];
+
+const FRAME_RATES = [24, 30, 60];
+
+export default {
+  props: {
+    /** @type {RenderProgress | null} Progress of the running render, or null when idle */
+    progress: {
+      type: Object,
+      default: null
+    },
+    /** @type {boolean} */
+    videoSupported: {
+      type: Boolean,
+      default: false
+    }
+  },
+  emits: ['start', 'cancel'],
+  setup(props, { emit }) {
+    /** @type {import('vue').Ref<File | null>} */
+    const file = ref(null);
+    const sizeIndex = ref(1);
+    const fps = ref(30);
+    /** @type {import('vue').Ref<OfflineRenderFormat>} */
+    const format = ref(props.videoSupported ? 'webm' : 'png');
+
+    /**
+     * @param {Event} e
+     */
+    const handleFileChange = (e) => {
+      file.value = /** @type {HTMLInputElement} */ (e.target).files?.[0] || null;
+    };
+
+    const handleStart = () => {
+      if (!file.value) return;
+      const { width, height } = SIZES[sizeIndex.value];
+      emit('start', { file: file.value, fps: fps.value, width, height, format: format.value });
+    };
+
+    return { sizes: SIZES, frameRates: FRAME_RATES, file, sizeIndex, fps, format, handleFileChange, handleStart };
+  },
+  template: `
+    <div class="w-64 py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">OFFLINE RENDER</div>
+
+      <template v-if="!progress">
+        <label class="block px-4 py-1">
+          <input type="file" accept="audio/*" class="w-full text-[10px] file:mr-2 file:bg-transparent file:border-0 file:text-white/60" @change="handleFileChange" />
+        </label>
+        <label class="flex items-center justify-between gap-3 px-4 py-1">
+          <span>Size</span>
+          <select v-model.number="sizeIndex" class="bg-transparent border-b border-white/20 outline-none text-white/80">
+            <option v-for="(size, index) in sizes" :key="size.label" :value="index" class="bg-black">
+              {{ size.label }} · {{ size.width }}×{{ size.height }}
+            </option>
+          </select>
+        </label>
+        <label class="flex items-center justify-between gap-3 px-4 py-1">
+          <span>Frame rate</span>
+          <select v-model.number="fps" class="bg-transparent border-b border-white/20 outline-none text-white/80">
+            <option v-for="rate in frameRates" :key="rate" :value="rate" class="bg-black">{{ rate }} fps</option>
+          </select>
+        </label>
+        <label class="flex items-center justify-between gap-3 px-4 py-1">
+          <span>Output</span>
+          <select v-model="format" class="bg-transparent border-b border-white/20 outline-none text-white/80">
+            <option value="webm" :disabled="!videoSupported" class="bg-black">WebM video</option>
+            <option value="png" class="bg-black">PNG sequence</option>
+          </select>
+        </label>
+        <button
+          class="px-4 pt-2 text-[10px] tracking-[0.3em] hover:text-white disabled:opacity-30"
+          :disabled="!file"
+          @click="handleStart"
+        >
+          RENDER
+        </button>
+      </template>
+
+      <template v-else>
+        <div class="px-4 py-1 uppercase text-[10px] tracking-[0.2em]">{{ progress.stage }} · {{ Math.round(progress.progress * 100) }}%</div>
+        <div class="mx-4 my-1 h-1 rounded bg-white/10">
+          <div class="h-full rounded bg-white/60" :style="{ width: (progress.progress * 100) + '%' }"></div>
+        </div>
+        <button class="px-4 pt-2 text-[10px] tracking-[0.3em] hover:text-white" @click="$emit('cancel')">CANCEL</button>
+      </template>
+    </div>
+  `
+};
@@ -0,0 +1,150 @@
+import { MODULATION_SOURCES } from '../visualizer/modulation.js';
+
+/**
+ * @typedef {import('./FluidVisualizer.js').DyeSeedOptions} DyeSeedOptions
+ */
+
+const BLEND_MODES = ['add', 'replace', 'multiply'];
+
+export default {
+  props: {
+    /** @type {Required<DyeSeedOptions>} */
+    options: {
+      type: Object,
+      required: true
+    },
+    /** @type {string} Name of the loaded source, empty when there is none */
+    sourceLabel: {
+      type: String,
+      default: ''
+    },
+    /** @type {boolean} */
+    cameraSupported: {
+      type: Boolean,
+      default: false
+    }
+  },
+  emits: ['update', 'file', 'camera', 'seed', 'clear'],
+  setup(props, { emit }) {
+    /**
+     * @param {Event} e
+     */
+    const handleFileChange = (e) => {
+      const input = /** @type {HTMLInputElement} */ (e.target);
+      const file = input.files?.[0];
+      input.value = '';
+      if (file) emit('file', file);
+    };
+
+    /**
+     * Selects use an empty value for "none"
+     * @param {keyof DyeSeedOptions} key
+     * @param {Event} e
+     */
+    const handleSourceSelect = (key, e) => {
+      emit('update', { [key]: /** @type {HTMLSelectElement} */ (e.target).value || null });
+    };
+
+    return { blendModes: BLEND_MODES, sources: MODULATION_SOURCES, handleFileChange, handleSourceSelect };
+  },
+  template: `
+    <div class="w-64 py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <div class="flex items-center gap-4 px-4 pb-2 text-[10px] tracking-[0.3em] text-white/30">
+        <span>SEED DYE</span>
+        <label class="cursor-pointer hover:text-white/80">
+          IMAGE / VIDEO
+          <input type="file" accept="image/*,video/*" class="hidden" @change="handleFileChange" />
+        </label>
+        <button
+          class="hover:text-white/80 disabled:opacity-30 disabled:cursor-not-allowed"
+          :disabled="!cameraSupported"
+          @click="$emit('camera')"
+        >
+          CAMERA
+        </button>
+      </div>
+
+      <div class="flex items-center justify-between gap-3 px-4 py-1 border-t border-white/10">
+        <span class="truncate" :class="{ 'text-white/30': !sourceLabel }">{{ sourceLabel || 'No source' }}</span>
+        <span v-if="sourceLabel" class="flex items-center gap-3 shrink-0">
+          <button v-if="!options.continuous" class="text-[10px] tracking-[0.2em] hover:text-white" @click="$emit('seed')">SEED</button>
+          <button class="text-white/40 hover:text-white" @click="$emit('clear')">✕</button>
+        </span>
+      </div>
+
+      <label class="flex items-center justify-between gap-3 px-4 py-1">
+        <span>Blend</span>
+        <select
+          class="bg-transparent border-b border-white/20 outline-none text-white/80"
+          :value="options.blend"
+          @change="$emit('update', { blend: $event.target.value })"
+        >
+          <option v-for="mode in blendModes" :key="mode" :value="mode" class="bg-black">{{ mode }}</option>
+        </select>
+      </label>
+      <label class="flex items-center justify-between gap-3 px-4 py-1">
+        <span>Strength</span>
+        <span class="flex items-center gap-2">
+          <input
+            type="range"
+            class="w-24 accent-white"
+            min="0.05"
+            max="1"
+            step="0.05"
+            :value="options.strength"
+            @input="$emit('update', { strength: Number($event.target.value) })"
+          />
+          <span class="w-10 text-right tabular-nums text-white/40">{{ options.strength.toFixed(2) }}</span>
+        </span>
+      </label>
+      <label class="flex items-center justify-between gap-3 px-4 py-1">
+        <span>Continuous</span>
+        <input
+          type="checkbox"
+          class="accent-white"
+          :checked="options.continuous"
+          @change="$emit('update', { continuous: $event.target.checked })"
+        />
+      </label>
+      <template v-if="options.continuous">
+        <label class="flex items-center justify-between gap-3 px-4 py-1">
+          <span>Rate</span>
+          <span class="flex items-center gap-2">
+            <input
+              type="range"
+              class="w-24 accent-white"
+              min="1"
+              max="60"
+              step="1"
+              :value="options.rate"
+              @input="$emit('update', { rate: Number($event.target.value) })"
+            />
+            <span class="w-10 text-right tabular-nums text-white/40">{{ options.rate }}/s</span>
+          </span>
+        </label>
+        <label class="flex items-center justify-between gap-3 px-4 py-1">
+          <span>Rate follows</span>
+          <select
+            class="bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="options.rateSource || ''"
+            @change="handleSourceSelect('rateSource', $event)"
+          >
+            <option value="" class="bg-black">steady</option>
+            <option v-for="source in sources" :key="source" :value="source" class="bg-black">{{ source }}</option>
+          </select>
+        </label>
+      </template>
+      <label class="flex items-center justify-between gap-3 px-4 py-1" title="Only pixels brighter than the inverse of this level are seeded">
+        <span>Audio gate</span>
+        <select
+          class="bg-transparent border-b border-white/20 outline-none text-white/80"
+          :value="options.gate || ''"
+          @change="handleSourceSelect('gate', $event)"
+        >
+          <option value="" class="bg-black">off</option>
+          <option v-for="source in sources" :key="source" :value="source" class="bg-black">{{ source }}</option>
+        </select>
+      </label>
+    </div>
+  `
+};
@@ -0,0 +1,151 @@
+import { CONFIG_SECTIONS } from '../visualizer/fluidConfig.js';
+import { hexToRgb, rgbToHex } from '../visualizer/color.js';
+
+/**
+ * @typedef {import('../visualizer/fluidConfig.js').FluidConfig} FluidConfig
+ * @typedef {import('../visualizer/fluidConfig.js').ConfigField} ConfigField
+ */
+
+/**
+ * @param {number} value
+ * @param {number} step
+ * @returns {string}
+ */
+function formatValue(value, step) {
+  const decimals = step < 1 ? Math.min(3, String(step).split('.')[1]?.length || 0) : 0;
+  return value.toFixed(decimals);
+}
+
+// Images live in the config as data URLs, so keep them small
+const MAX_IMAGE_SIZE = 640;
+
+/**
+ * Downscale an image file and encode it as a data URL
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+async function readImageFile(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  // WebP keeps transparency at a fraction of PNG's size
+  return canvas.toDataURL('image/webp', 0.85);
+}
+
+export default {
+  props: {
+    /** @type {FluidConfig} */
+    config: {
+      type: Object,
+      required: true
+    }
+  },
+  emits: ['update'],
+  setup(props, { emit }) {
+    /**
+     * @param {ConfigField} field
+     * @param {Event} e
+     */
+    const handleInput = (field, e) => {
+      const input = /** @type {HTMLInputElement | HTMLSelectElement} */ (e.target);
+      let value;
+      if (field.control === 'toggle') value = /** @type {HTMLInputElement} */ (input).checked;
+      else if (field.control === 'color') value = hexToRgb(input.value);
+      else if (typeof props.config[field.key] === 'string') value = input.value;
+      else value = Number(input.value);
+      emit('update', field.key, value);
+    };
+
+    /**
+     * @param {ConfigField} field
+     * @param {Event} e
+     */
+    const handleImageChange = async (field, e) => {
+      const input = /** @type {HTMLInputElement} */ (e.target);
+      const file = input.files?.[0];
+      input.value = '';
+      if (!file) return;
+      try {
+        emit('update', field.key, await readImageFile(file));
+      } catch (err) {
+        console.error("Failed to load image", err);
+      }
+    };
+
+    return { sections: CONFIG_SECTIONS, formatValue, rgbToHex, handleInput, handleImageChange };
+  },
+  template: `
+    <div class="w-64 max-h-[70vh] overflow-y-auto py-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/10 text-xs text-white/60">
+      <details v-for="(section, index) in sections" :key="section.title" :open="index === 1" class="px-4 py-1">
+        <summary class="py-1 cursor-pointer text-[10px] tracking-[0.3em] text-white/30 uppercase hover:text-white/60">
+          {{ section.title }}
+        </summary>
+        <label
+          v-for="field in section.fields"
+          :key="field.key"
+          class="flex items-center justify-between gap-3 py-1"
+        >
+          <span class="truncate">{{ field.label }}</span>
+          <input
+            v-if="field.control === 'toggle'"
+            type="checkbox"
+            class="accent-white"
+            :checked="config[field.key]"
+            @change="handleInput(field, $event)"
+          />
+          <select
+            v-else-if="field.control === 'select'"
+            class="bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="config[field.key]"
+            @change="handleInput(field, $event)"
+          >
+            <option v-for="option in field.options" :key="option" :value="option" class="bg-black">{{ option }}</option>
+          </select>
+          <input
+            v-else-if="field.control === 'color'"
+            type="color"
+            class="w-8 h-5 bg-transparent border-0 cursor-pointer"
+            :value="rgbToHex(config[field.key])"
+            @input="handleInput(field, $event)"
+          />
+          <input
+            v-else-if="field.control === 'text'"
+            type="text"
+            class="w-28 bg-transparent border-b border-white/20 outline-none text-white/80"
+            :value="config[field.key]"
+            @change="handleInput(field, $event)"
+          />
+          <span v-else-if="field.control === 'image'" class="flex items-center gap-2">
+            <span class="cursor-pointer text-white/80 hover:text-white">
+              {{ config[field.key] ? 'Replace…' : 'Choose…' }}
+              <input type="file" accept="image/*" class="hidden" @change="handleImageChange(field, $event)" />
+            </span>
+            <button
+              v-if="config[field.key]"
+              class="text-white/40 hover:text-white"
+              @click.prevent="$emit('update', field.key, '')"
+            >
+              ✕
+            </button>
+          </span>
+          <span v-else class="flex items-center gap-2">
+            <input
+              type="range"
+              class="w-24 accent-white"
+              :min="field.min"
+              :max="field.max"
+              :step="field.step"
+              :value="config[field.key]"
+              @input="handleInput(field, $event)"
+            />
+            <span class="w-10 text-right tabular-nums text-white/40">{{ formatValue(config[field.key], field.step) }}</span>
+          </span>
+        </label>
+      </details>
+    </div>
+  `
+};
@@ -0,0 +1,26 @@
+/**
+ * @typedef {import('./FluidVisualizer.js').FrameStats} FrameStats
+ */
+
+export default {
+  props: {
+    /** @type {FrameStats | null} */
+    stats: {
+      type: Object,
+      default: null
+    }
+  },
+  template: `
+    <div class="px-3 py-2 rounded bg-black/60 font-mono text-[10px] leading-4 text-white/60 tabular-nums pointer-events-none">
+      <template v-if="stats">
+        <div :class="stats.fps < 45 ? 'text-red-400' : 'text-white/80'">{{ stats.fps.toFixed(1) }} fps · {{ (1000 / stats.fps).toFixed(1) }} ms</div>
+        <div>tier {{ stats.tier }}/{{ stats.tierCount - 1 }}{{ stats.adaptive ? '' : ' (fixed)' }}</div>
+        <div>sim {{ stats.simResolution.width }}×{{ stats.simResolution.height }}</div>
+        <div>dye {{ stats.dyeResolution.width }}×{{ stats.dyeResolution.height }}</div>
+        <div>pressure ×{{ stats.pressureIterations }}</div>
+        <div>bloom {{ stats.bloom ? 'on' : 'off' }} · sunrays {{ stats.sunrays ? 'on' : 'off' }}</div>
+      </template>
+      <div v-else>measuring…</div>
+    </div>
+  `
+};
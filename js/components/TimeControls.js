@@ -0,0 +1,67 @@
+// Speeds the time-scale buttons and shortcuts step through
+export const TIME_SCALES = [0.1, 0.25, 0.5, 1, 2, 4];
+
+/**
+ * The next preset speed above or below the current one, which may be any value set in the settings panel
+ * @param {number} current
+ * @param {1 | -1} direction
+ * @returns {number}
+ */
+export function stepTimeScale(current, direction) {
+  if (direction > 0) return TIME_SCALES.find(scale => scale > current + 1e-6) ?? TIME_SCALES[TIME_SCALES.length - 1];
+  return [...TIME_SCALES].reverse().find(scale => scale < current - 1e-6) ?? TIME_SCALES[0];
+}
+
+/**
+ * @param {number} scale
+ * @returns {string}
+ */
+function formatScale(scale) {
+  return `${Number(scale.toFixed(2))}×`;
+}
+
+export default {
+  props: {
+    /** @type {boolean} */
+    paused: {
+      type: Boolean,
+      required: true
+    },
+    /** @type {number} */
+    timeScale: {
+      type: Number,
+      default: 1
+    }
+  },
+  emits: ['toggle', 'step', 'scale'],
+  setup() {
+    return { stepTimeScale, formatScale };
+  },
+  template: `
+    <div class="flex items-center gap-3 text-[10px] tracking-[0.3em] text-white/40">
+      <button class="hover:text-white/80" :class="{ 'text-white/90': paused }" title="Pause (P)" @click="$emit('toggle')">
+        {{ paused ? 'RESUME' : 'PAUSE' }}
+      </button>
+      <button
+        class="hover:text-white/80 disabled:opacity-30 disabled:cursor-not-allowed"
+        :disabled="!paused"
+        title="Step one frame (.)"
+        @click="$emit('step')"
+      >
+        STEP
+      </button>
+      <span class="flex items-center gap-1">
+        <button class="px-1 hover:text-white/80" title="Slower ([)" @click="$emit('scale', stepTimeScale(timeScale, -1))">−</button>
+        <button
+          class="w-10 tabular-nums hover:text-white/80"
+          :class="{ 'text-white/90': timeScale !== 1 }"
+          title="Real time (0)"
+          @click="$emit('scale', 1)"
+        >
+          {{ formatScale(timeScale) }}
+        </button>
+        <button class="px-1 hover:text-white/80" title="Faster (])" @click="$emit('scale', stepTimeScale(timeScale, 1))">+</button>
+      </span>
+    </div>
+  `
+};
@@ -0,0 +1,242 @@
+/**
+ * Pure spectrum helpers shared by the AudioManager analysis paths.
+ * Nothing in here touches the Web Audio API, so it can run anywhere.
+ */
+
+/**
+ * @typedef {'log' | 'mel'} BandScale
+ */
+
+/**
+ * A frequency band in Hz
+ * @typedef {Object} BandRange
+ * @property {number} low
+ * @property {number} high
+ */
+
+/**
+ * An inclusive range of FFT bins
+ * @typedef {Object} BinRange
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Default bass/mid/treble split in Hz. Treble is open-ended and clamped to Nyquist.
+ * @type {{ bass: BandRange, mid: BandRange, treble: BandRange }}
+ */
+export const DEFAULT_BANDS = {
+  bass: { low: 20, high: 250 },
+  mid: { low: 250, high: 4000 },
+  treble: { low: 4000, high: Infinity }
+};
+
+/**
+ * @param {number} hz
+ * @returns {number}
+ */
+export function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+/**
+ * @param {number} mel
+ * @returns {number}
+ */
+export function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+/**
+ * Split [minHz, maxHz] into `count` bands that are evenly spaced on a
+ * logarithmic or Mel scale.
+ * @param {number} count
+ * @param {number} minHz
+ * @param {number} maxHz
+ * @param {BandScale} [scale]
+ * @returns {BandRange[]}
+ */
+export function createBandRanges(count, minHz, maxHz, scale = 'log') {
+  const toScale = scale === 'mel' ? hzToMel : Math.log;
+  const fromScale = scale === 'mel' ? melToHz : Math.exp;
+  const lo = toScale(Math.max(minHz, 1));
+  const hi = toScale(maxHz);
+
+  const ranges = [];
+  for (let i = 0; i < count; i++) {
+    ranges.push({
+      low: fromScale(lo + (hi - lo) * (i / count)),
+      high: fromScale(lo + (hi - lo) * ((i + 1) / count))
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Map a band in Hz onto the FFT bins that cover it. Every band gets at
+ * least one bin, so narrow low bands at coarse resolutions never go empty.
+ * @param {BandRange} band
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ * @returns {BinRange}
+ */
+export function bandToBins(band, sampleRate, fftSize) {
+  const binCount = fftSize / 2;
+  const binHz = sampleRate / fftSize;
+  const start = Math.min(Math.max(Math.floor(band.low / binHz), 0), binCount - 1);
+  const end = Math.min(Math.max(Math.ceil(band.high / binHz) - 1, start), binCount - 1);
+  return { start, end };
+}
+
+/**
+ * Mean of `data[start..end]`, normalised from byte magnitudes to 0-1
+ * @param {ArrayLike<number>} data
+ * @param {BinRange} range
+ * @returns {number}
+ */
+export function averageBins(data, range) {
+  let sum = 0;
+  for (let i = range.start; i <= range.end; i++) sum += data[i];
+  return sum / ((range.end - range.start + 1) * 255);
+}
+
+/**
+ * Index of the loudest bin
+ * @param {ArrayLike<number>} data
+ * @returns {number}
+ */
+export function peakBin(data) {
+  let maxVal = -1;
+  let maxIndex = -1;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] > maxVal) {
+      maxVal = data[i];
+      maxIndex = i;
+    }
+  }
+  return maxIndex;
+}
+
+/**
+ * Twiddle factors e^(-2πik/n) for k < n/2, so the FFT doesn't call cos and sin per butterfly
+ * @typedef {Object} Twiddles
+ * @property {Float32Array} cos
+ * @property {Float32Array} sin
+ */
+
+/**
+ * @param {number} n - FFT size
+ * @returns {Twiddles}
+ */
+export function createTwiddles(n) {
+  const cos = new Float32Array(n >> 1);
+  const sin = new Float32Array(n >> 1);
+  for (let k = 0; k < n >> 1; k++) {
+    cos[k] = Math.cos(-2 * Math.PI * k / n);
+    sin[k] = Math.sin(-2 * Math.PI * k / n);
+  }
+  return { cos, sin };
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float32Array} re - Real part, length a power of two
+ * @param {Float32Array} im - Imaginary part, same length
+ * @param {Twiddles} [twiddles] - From createTwiddles(re.length); pass them in when transforming repeatedly
+ */
+export function fft(re, im, twiddles = createTwiddles(re.length)) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = twiddles.cos[k * stride];
+        const sin = twiddles.sin[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Software stand-in for AnalyserNode.getByteFrequencyData, for contexts
+ * (such as an AudioWorklet) that have no AnalyserNode. Follows the same
+ * Blackman window, smoothing and dB-to-byte mapping so both paths yield
+ * comparable metrics.
+ */
+export class SpectrumAnalyser {
+  /**
+   * @param {number} fftSize
+   * @param {number} smoothingTimeConstant
+   * @param {number} [minDecibels]
+   * @param {number} [maxDecibels]
+   */
+  constructor(fftSize, smoothingTimeConstant, minDecibels = -100, maxDecibels = -30) {
+    this.fftSize = fftSize;
+    this.frequencyBinCount = fftSize / 2;
+    this.smoothingTimeConstant = smoothingTimeConstant;
+    this.minDecibels = minDecibels;
+    this.maxDecibels = maxDecibels;
+
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      const x = i / fftSize;
+      this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+    }
+    this.twiddles = createTwiddles(fftSize);
+    this.re = new Float32Array(fftSize);
+    this.im = new Float32Array(fftSize);
+    this.smoothed = new Float32Array(this.frequencyBinCount);
+  }
+
+  /**
+   * @param {Float32Array} samples - The latest `fftSize` samples, oldest first
+   * @param {Uint8Array} out - `frequencyBinCount` bytes
+   * @param {Uint8Array} [unsmoothedOut] - Also gets the spectrum without time smoothing, from the same FFT
+   */
+  getByteFrequencyData(samples, out, unsmoothedOut) {
+    const { re, im, smoothed, window, fftSize, smoothingTimeConstant: tau } = this;
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = samples[i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im, this.twiddles);
+
+    for (let k = 0; k < this.frequencyBinCount; k++) {
+      const magnitude = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / fftSize;
+      smoothed[k] = tau * smoothed[k] + (1 - tau) * magnitude;
+      out[k] = this.toByte(smoothed[k]);
+      if (unsmoothedOut) unsmoothedOut[k] = this.toByte(magnitude);
+    }
+  }
+
+  /**
+   * Same dB-to-byte mapping as the AnalyserNode
+   * @param {number} magnitude
+   * @returns {number}
+   */
+  toByte(magnitude) {
+    const db = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+    const scaled = 255 * (db - this.minDecibels) / (this.maxDecibels - this.minDecibels);
+    return Math.max(0, Math.min(255, Math.floor(scaled)));
+  }
+}
@@ -1,55 +1,616 @@
+import { DEFAULT_BANDS } from './audioAnalysis.js';
+import { FeatureExtractor, copyMetrics, createEmptyMetrics, createMetricsBuffer, getMetricsViews, consumeMetrics } from './featureExtractor.js';
+import { LoudnessNormalizer } from './loudnessNormalizer.js';
+
+export { createEmptyMetrics };
+
+/**
+ * @typedef {import('./audioAnalysis.js').BandRange} BandRange
+ * @typedef {import('./audioAnalysis.js').BandScale} BandScale
+ * @typedef {import('./loudnessNormalizer.js').AutoGainOptions} AutoGainOptions
+ */
+
 /**
+ * Levels are 0-1; automatic gain control rescales them so their long-term loudness sits at its target
  * @typedef {Object} AudioMetrics
  * @property {number} bass
  * @property {number} mid
  * @property {number} treble
  * @property {number} volume
  * @property {number} frequency
+ * @property {number[]} bands - Optional N-band output, empty when `bandCount` is 0
+ * @property {number} onset - Envelope of the latest onset strength, decays to 0 within ~150ms
+ * @property {number} bpm - Estimated tempo, 0 until enough onsets were seen
+ * @property {number} pitch - Fundamental frequency in Hz from YIN, 0 when unvoiced
+ * @property {number} pitchConfidence - 0-1
+ * @property {number[]} chroma - 12-bin chromagram (C to B), strongest class is 1
+ */
+
+/**
+ * @typedef {'bass' | 'mid' | 'treble' | 'full'} OnsetBand
+ */
+
+/**
+ * Payload of the `onset` event
+ * @typedef {Object} OnsetEvent
+ * @property {number} time - AudioContext time in seconds
+ * @property {number} strength - 0-1
+ * @property {OnsetBand} band
+ */
+
+/**
+ * Payload of the `beat` event
+ * @typedef {Object} BeatEvent
+ * @property {number} time - AudioContext time in seconds
+ * @property {number} strength - 0-1
+ * @property {OnsetBand} band - Strongest band at the beat
+ * @property {number} bpm
+ * @property {number} confidence - 0-1
+ */
+
+/**
+ * @typedef {AutoGainOptions & AnalysisOptions} AudioAnalysisOptions
+ */
+
+/**
+ * @typedef {Object} AnalysisOptions
+ * @property {number | null} sampleRate - AudioContext rate, null for the device rate. Only read when the context is created.
+ * @property {number} fftSize - Power of two between 32 and 32768
+ * @property {number} smoothingTimeConstant
+ * @property {number} bandCount - Number of entries in `AudioMetrics.bands`
+ * @property {BandScale} bandScale - Spacing of the N-band output
+ * @property {number} minFrequency - Lower edge of the N-band output in Hz
+ * @property {number} maxFrequency - Upper edge of the N-band output in Hz, clamped to Nyquist
+ * @property {{ bass: BandRange, mid: BandRange, treble: BandRange }} bands - Named bands in Hz
+ * @property {number} pitchWindowSize - Samples per pitch frame; must hold two periods of `minPitch`
+ * @property {number} minPitch - Lowest fundamental to track in Hz
+ * @property {number} maxPitch - Highest fundamental to track in Hz
+ * @property {boolean} useWorklet - Run the analysis in an AudioWorklet when the browser supports it
+ */
+
+/**
+ * @typedef {'worklet' | 'analyser'} AnalysisMode
+ */
+
+const WORKLET_URL = new URL('../worklets/analysisProcessor.js', import.meta.url);
+
+/** @type {AudioAnalysisOptions} */
+const DEFAULT_OPTIONS = {
+  // Prefer 16kHz for speech processing to match Gemini input recommendations
+  sampleRate: 16000,
+  fftSize: 512,
+  smoothingTimeConstant: 0.8,
+  bandCount: 0,
+  bandScale: 'log',
+  minFrequency: 20,
+  maxFrequency: 20000,
+  bands: DEFAULT_BANDS,
+  pitchWindowSize: 2048,
+  minPitch: 50,
+  maxPitch: 2000,
+  useWorklet: true,
+  autoGain: false,
+  autoGainTarget: 0.4,
+  autoGainAttack: 0.5,
+  autoGainRelease: 5
+};
+
+/**
+ * @typedef {'microphone' | 'file' | 'url'} AudioSourceType
+ */
+
+/**
+ * @typedef {Object} AudioInputDevice
+ * @property {string} deviceId
+ * @property {string} label
+ */
+
+/**
+ * @typedef {Object} PlaybackState
+ * @property {boolean} playing
+ * @property {number} currentTime
+ * @property {number} duration
  */
 
 export class AudioManager {
-  constructor() {
+  /**
+   * @param {Partial<AudioAnalysisOptions>} [options]
+   */
+  constructor(options = {}) {
+    /** @type {AudioAnalysisOptions} */
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
     /** @type {AudioContext | null} */
     this.audioContext = null;
+    /** @type {Promise<void> | null} */
+    this.contextReady = null;
+    /** @type {GainNode | null} */
+    this.inputNode = null;
+    /** @type {AnalysisMode | null} */
+    this.analysisMode = null;
+
+    // Worklet path: features are computed off the main thread
+    /** @type {AudioWorkletNode | null} */
+    this.analysisNode = null;
+    /** @type {{ sequence: Int32Array, values: Float32Array } | null} */
+    this.sharedMetrics = null;
+    /** @type {AudioMetrics} */
+    this.latestMetrics = createEmptyMetrics();
+
+    // Runs on the main thread on whichever path produced the metrics
+    this.normalizer = new LoudnessNormalizer(this.options);
+
+    // Analyser path: the fallback when AudioWorklet is unavailable
+    /** @type {FeatureExtractor | null} */
+    this.extractor = null;
     /** @type {AnalyserNode | null} */
     this.analyser = null;
+    // Unsmoothed twin of `analyser`; spectral flux needs the raw frame-to-frame change
+    /** @type {AnalyserNode | null} */
+    this.fluxAnalyser = null;
+    // Longer window with no smoothing for pitch and chroma resolution
+    /** @type {AnalyserNode | null} */
+    this.pitchAnalyser = null;
     /** @type {MediaStreamAudioSourceNode | null} */
     this.microphoneSource = null;
     /** @type {Uint8Array | null} */
     this.dataArray = null;
+    /** @type {Uint8Array | null} */
+    this.fluxData = null;
+    /** @type {Float32Array | null} */
+    this.pitchBuffer = null;
+    /** @type {Uint8Array | null} */
+    this.pitchSpectrum = null;
+
     /** @type {MediaStream | null} */
     this.stream = null;
 
+    // Playback sources share one <audio> element, since an element can only
+    // ever be wrapped by a single MediaElementAudioSourceNode.
+    /** @type {HTMLAudioElement | null} */
+    this.mediaElement = null;
+    /** @type {MediaElementAudioSourceNode | null} */
+    this.mediaElementSource = null;
+    /** @type {MediaStreamAudioDestinationNode | null} */
+    this.playbackStreamDestination = null;
+    /** @type {string | null} */
+    this.objectUrl = null;
+
+    /** @type {AudioSourceType | null} */
+    this.sourceType = null;
+    /** @type {string} */
+    this.sourceLabel = '';
+
+    /** @type {string | null} */
+    this.deviceId = null;
+    /** @type {AudioInputDevice[]} */
+    this.devices = [];
+
+    /** @type {Map<string, Set<Function>>} */
+    this.listeners = new Map();
+
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+
     this.isInitialized = false;
   }
 
   /**
-   * Initialize the audio manager
+   * Subscribe to an AudioManager event
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   */
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {any} payload
+   */
+  emit(type, payload) {
+    this.listeners.get(type)?.forEach(listener => listener(payload));
+  }
+
+  /**
+   * Initialize the audio manager with the default microphone source
    * @returns {Promise<void>}
    */
   async initialize() {
     if (this.isInitialized) return;
+    await this.useMicrophone();
+  }
 
-    // Prefer 16kHz for speech processing to match Gemini input recommendations
+  /**
+   * Create the AudioContext and analysis graph on first use. Concurrent
+   * callers share the same setup.
+   * @returns {Promise<void>}
+   */
+  ensureContext() {
+    if (!this.contextReady) this.contextReady = this.createContext();
+    return this.contextReady;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async createContext() {
     const AudioContextClass = window.AudioContext || /** @type {any} */ (window).webkitAudioContext;
-    this.audioContext = new AudioContextClass({ sampleRate: 16000 });
+    const { sampleRate } = this.options;
+    this.audioContext = new AudioContextClass(sampleRate ? { sampleRate } : undefined);
+
+    // Every source connects to the input node, which fans out to the analysis
+    this.inputNode = this.audioContext.createGain();
+
+    const workletReady = this.options.useWorklet && await this.setupWorklet();
+    if (!workletReady) this.setupAnalysers();
+
+    navigator.mediaDevices.addEventListener?.('devicechange', this.handleDeviceChange);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the worklet is running
+   */
+  async setupWorklet() {
+    if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+
+    try {
+      await this.audioContext.audioWorklet.addModule(WORKLET_URL);
+    } catch (err) {
+      console.warn("Analysis worklet unavailable, using AnalyserNode:", err);
+      return false;
+    }
+
+    // SharedArrayBuffer needs a cross-origin isolated page; otherwise metrics come as messages
+    const metricsBuffer = self.crossOriginIsolated ? createMetricsBuffer() : null;
+    this.sharedMetrics = metricsBuffer ? getMetricsViews(metricsBuffer) : null;
+
+    this.analysisNode = new AudioWorkletNode(this.audioContext, 'echo-flume-analysis', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      processorOptions: { options: this.options, metricsBuffer }
+    });
+    this.analysisNode.port.onmessage = (e) => this.handleWorkletMessage(e.data);
+
+    // The processor writes no output; connecting it just keeps it scheduled
+    this.inputNode.connect(this.analysisNode);
+    this.analysisNode.connect(this.audioContext.destination);
+
+    this.analysisMode = 'worklet';
+    return true;
+  }
 
+  setupAnalysers() {
     this.analyser = this.audioContext.createAnalyser();
-    this.analyser.fftSize = 512;
-    this.analyser.smoothingTimeConstant = 0.8;
+    this.fluxAnalyser = this.audioContext.createAnalyser();
+    this.pitchAnalyser = this.audioContext.createAnalyser();
+    this.inputNode.connect(this.analyser);
+    this.inputNode.connect(this.fluxAnalyser);
+    this.inputNode.connect(this.pitchAnalyser);
 
+    this.extractor = new FeatureExtractor(this.options, this.audioContext.sampleRate);
+    this.applyAnalysisOptions();
+
+    this.analysisMode = 'analyser';
+  }
+
+  /**
+   * @param {{ type: string, metrics?: AudioMetrics, event?: import('./featureExtractor.js').AnalysisEvent }} message
+   */
+  handleWorkletMessage(message) {
+    if (message.type === 'metrics') this.latestMetrics = message.metrics;
+    else if (message.type === 'event') this.emit(message.event.type, message.event.payload);
+  }
+
+  /**
+   * Change the analysis settings. Everything except `sampleRate` applies
+   * immediately; a new sample rate needs a fresh AudioContext.
+   * @param {Partial<AudioAnalysisOptions>} options
+   */
+  configure(options) {
+    this.options = { ...this.options, ...options };
+    this.normalizer.configure(this.options);
+    if (this.analysisNode) this.analysisNode.port.postMessage({ type: 'configure', options: this.options });
+    else if (this.analyser) this.applyAnalysisOptions();
+  }
+
+  applyAnalysisOptions() {
+    const { fftSize, smoothingTimeConstant, pitchWindowSize } = this.options;
+    this.analyser.fftSize = fftSize;
+    this.analyser.smoothingTimeConstant = smoothingTimeConstant;
     this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
 
+    this.fluxAnalyser.fftSize = fftSize;
+    this.fluxAnalyser.smoothingTimeConstant = 0;
+    this.fluxData = new Uint8Array(this.fluxAnalyser.frequencyBinCount);
+
+    this.pitchAnalyser.fftSize = pitchWindowSize;
+    this.pitchAnalyser.smoothingTimeConstant = 0;
+    this.pitchBuffer = new Float32Array(this.pitchAnalyser.fftSize);
+    this.pitchSpectrum = new Uint8Array(this.pitchAnalyser.frequencyBinCount);
+
+    this.extractor.configure(this.options);
+  }
+
+  /**
+   * Switch the analyser input to a microphone. Only the source node is
+   * replaced; the AudioContext and analyser stay alive.
+   * @param {string | null} [deviceId] - Input device, or the system default
+   * @returns {Promise<void>}
+   */
+  async useMicrophone(deviceId = null) {
+    await this.ensureContext();
+
     try {
-      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const stream = await this.requestMicrophone(deviceId);
+      this.disconnectSource();
+
+      this.stream = stream;
       this.microphoneSource = this.audioContext.createMediaStreamSource(this.stream);
-      this.microphoneSource.connect(this.analyser);
+      this.microphoneSource.connect(this.inputNode);
+
+      const track = this.stream.getAudioTracks()[0];
+      track?.addEventListener('ended', this.handleTrackEnded);
+      this.deviceId = track?.getSettings().deviceId || deviceId;
 
+      this.sourceType = 'microphone';
+      this.sourceLabel = track?.label || 'Microphone';
+      await this.audioContext.resume();
       this.isInitialized = true;
     } catch (err) {
       console.error("Error accessing microphone:", err);
       throw err;
     }
+
+    await this.refreshDevices();
+  }
+
+  /**
+   * @param {string | null} deviceId
+   * @returns {Promise<MediaStream>}
+   */
+  async requestMicrophone(deviceId) {
+    if (!deviceId) return navigator.mediaDevices.getUserMedia({ audio: true });
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: deviceId } } });
+    } catch (err) {
+      // A remembered device may have been unplugged since; use the default instead
+      if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+      console.warn("Input device unavailable, falling back to default:", deviceId);
+      return navigator.mediaDevices.getUserMedia({ audio: true });
+    }
+  }
+
+  /**
+   * List the available audio input devices. Labels are empty until
+   * microphone permission has been granted.
+   * @returns {Promise<AudioInputDevice[]>}
+   */
+  async listInputDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map((device, i) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Input ${i + 1}`
+      }));
+  }
+
+  /**
+   * @returns {Promise<AudioInputDevice[]>}
+   */
+  async refreshDevices() {
+    this.devices = await this.listInputDevices();
+    this.emit('devicechange', { devices: this.devices, deviceId: this.deviceId });
+    return this.devices;
+  }
+
+  async handleDeviceChange() {
+    try {
+      await this.refreshDevices();
+    } catch (err) {
+      console.error("Could not list input devices:", err);
+      return;
+    }
+
+    if (this.sourceType !== 'microphone' || !this.deviceId) return;
+    const stillPresent = this.devices.some(device => device.deviceId === this.deviceId);
+    if (!stillPresent) await this.recoverMicrophone();
+  }
+
+  async handleTrackEnded() {
+    if (this.sourceType !== 'microphone') return;
+    await this.recoverMicrophone();
+  }
+
+  /**
+   * The active input went away (unplugged, revoked); move to the default device.
+   */
+  async recoverMicrophone() {
+    try {
+      await this.useMicrophone(null);
+    } catch (err) {
+      console.error("Could not recover microphone input:", err);
+    }
+  }
+
+  /**
+   * Switch the analyser input to a local audio file
+   * @param {File | Blob} file
+   * @returns {Promise<void>}
+   */
+  async useFile(file) {
+    const objectUrl = URL.createObjectURL(file);
+    const name = /** @type {File} */ (file).name || 'Audio file';
+    try {
+      await this.playFromElement(objectUrl, 'file', name);
+    } catch (err) {
+      URL.revokeObjectURL(objectUrl);
+      console.error("Error playing audio file:", err);
+      throw err;
+    }
+    this.objectUrl = objectUrl;
+  }
+
+  /**
+   * Switch the analyser input to a remote audio file or stream.
+   * The server must send CORS headers, otherwise the analyser only sees silence.
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  async useUrl(url) {
+    try {
+      await this.playFromElement(url, 'url', url);
+    } catch (err) {
+      console.error("Error playing audio URL:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} src
+   * @param {AudioSourceType} type
+   * @param {string} label
+   * @returns {Promise<void>}
+   */
+  async playFromElement(src, type, label) {
+    await this.ensureContext();
+    this.disconnectSource();
+
+    if (!this.mediaElement) {
+      this.mediaElement = new Audio();
+      this.mediaElement.crossOrigin = 'anonymous';
+      this.mediaElement.preload = 'auto';
+      this.mediaElementSource = this.audioContext.createMediaElementSource(this.mediaElement);
+      this.playbackStreamDestination = this.audioContext.createMediaStreamDestination();
+    }
+
+    this.mediaElementSource.connect(this.inputNode);
+    this.mediaElementSource.connect(this.playbackStreamDestination);
+    // Unlike the microphone, playback has to be audible
+    this.mediaElementSource.connect(this.audioContext.destination);
+
+    this.mediaElement.src = src;
+
+    try {
+      await this.audioContext.resume();
+      await this.mediaElement.play();
+    } catch (err) {
+      // Blocked by autoplay policy or unplayable; leave no half-switched source behind
+      this.disconnectSource();
+      this.mediaElement.removeAttribute('src');
+      this.mediaElement.load();
+      throw err;
+    }
+
+    this.sourceType = type;
+    this.sourceLabel = label;
+    this.isInitialized = true;
+  }
+
+  /**
+   * Detach whichever source currently feeds the analyser.
+   */
+  disconnectSource() {
+    if (this.microphoneSource) {
+      this.microphoneSource.disconnect();
+      this.microphoneSource = null;
+    }
+    this.stream?.getTracks().forEach(track => {
+      track.removeEventListener('ended', this.handleTrackEnded);
+      track.stop();
+    });
+    this.stream = null;
+    this.deviceId = null;
+
+    if (this.mediaElement) {
+      this.mediaElement.pause();
+      this.mediaElementSource.disconnect();
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    this.sourceType = null;
+    this.sourceLabel = '';
+    this.resetAnalysis();
+  }
+
+  /**
+   * Forget onset history, tempo and chroma so a new source starts clean
+   */
+  resetAnalysis() {
+    this.analysisNode?.port.postMessage({ type: 'reset' });
+    this.extractor?.reset();
+    this.normalizer.reset();
+    this.latestMetrics = createEmptyMetrics();
+  }
+
+  /**
+   * Multiplier automatic gain control currently applies to 0-1 levels
+   * @returns {number}
+   */
+  getAutoGain() {
+    return this.normalizer.gain;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isPlaybackSource() {
+    return this.sourceType === 'file' || this.sourceType === 'url';
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async play() {
+    if (!this.isPlaybackSource()) return;
+    await this.audioContext.resume();
+    await this.mediaElement.play();
+  }
+
+  pause() {
+    if (!this.isPlaybackSource()) return;
+    this.mediaElement.pause();
+  }
+
+  /**
+   * @param {number} time - Position in seconds
+   */
+  seek(time) {
+    if (!this.isPlaybackSource()) return;
+    const duration = this.mediaElement.duration;
+    if (!Number.isFinite(duration)) return; // live streams can't seek
+    this.mediaElement.currentTime = Math.max(0, Math.min(time, duration));
+  }
+
+  /**
+   * @returns {PlaybackState}
+   */
+  getPlaybackState() {
+    if (!this.isPlaybackSource()) {
+      return { playing: false, currentTime: 0, duration: 0 };
+    }
+    const duration = this.mediaElement.duration;
+    return {
+      playing: !this.mediaElement.paused,
+      currentTime: this.mediaElement.currentTime,
+      duration: Number.isFinite(duration) ? duration : 0
+    };
   }
 
   /**
@@ -60,9 +621,12 @@ export class AudioManager {
   }
 
   /**
+   * The stream of the active source: the raw microphone stream, or a tap of
+   * the playback element for file and URL sources.
    * @returns {MediaStream | null}
    */
   getInputStream() {
+    if (this.isPlaybackSource()) return this.playbackStreamDestination.stream;
     return this.stream;
   }
 
@@ -70,53 +634,89 @@ export class AudioManager {
    * @returns {AudioMetrics}
    */
   getMetrics() {
-    if (!this.analyser || !this.dataArray) {
-      return { bass: 0, mid: 0, treble: 0, volume: 0, frequency: 0 };
+    if (!this.analysisNode && (!this.analyser || !this.dataArray)) {
+      return createEmptyMetrics();
     }
+    return this.normalizer.process(this.readMetrics(), this.audioContext.currentTime);
+  }
 
-    this.analyser.getByteFrequencyData(this.dataArray);
-
-    const length = this.dataArray.length;
-    const bassRange = Math.floor(length * 0.1); // 0-10%
-    const midRange = Math.floor(length * 0.25); // 10-35%
-    // remaining is treble
-
-    let bassSum = 0;
-    let midSum = 0;
-    let trebleSum = 0;
-
-    for (let i = 0; i < length; i++) {
-      const val = this.dataArray[i] / 255.0;
-      if (i < bassRange) bassSum += val;
-      else if (i < bassRange + midRange) midSum += val;
-      else trebleSum += val;
-    }
-
-    const bass = bassSum / bassRange;
-    const mid = midSum / midRange;
-    const treble = trebleSum / (length - bassRange - midRange);
-    const volume = (bass + mid + treble) / 3;
-
-    // Calculate dominant frequency
-    let maxVal = -1;
-    let maxIndex = -1;
-    for (let i = 0; i < length; i++) {
-      if (this.dataArray[i] > maxVal) {
-        maxVal = this.dataArray[i];
-        maxIndex = i;
+  /**
+   * Metrics straight from the analysis, before gain control
+   * @returns {AudioMetrics}
+   */
+  readMetrics() {
+    if (this.analysisNode) {
+      if (this.sharedMetrics) {
+        this.latestMetrics = consumeMetrics(this.sharedMetrics) || this.latestMetrics;
       }
+      return this.latestMetrics;
     }
 
-    const nyquist = this.audioContext.sampleRate / 2;
-    const frequency = maxIndex * (nyquist / length);
+    this.analyser.getByteFrequencyData(this.dataArray);
+    this.fluxAnalyser.getByteFrequencyData(this.fluxData);
+    this.pitchAnalyser.getFloatTimeDomainData(this.pitchBuffer);
+    this.pitchAnalyser.getByteFrequencyData(this.pitchSpectrum);
+
+    const { metrics, events } = this.extractor.process({
+      time: this.audioContext.currentTime,
+      spectrum: this.dataArray,
+      fluxSpectrum: this.fluxData,
+      timeDomain: this.pitchBuffer,
+      pitchSpectrum: this.pitchSpectrum
+    });
+    events.forEach(event => this.emit(event.type, event.payload));
 
-    return { bass, mid, treble, volume, frequency };
+    return copyMetrics(metrics);
   }
 
-  cleanup() {
-    this.stream?.getTracks().forEach(track => track.stop());
-    this.audioContext?.close();
+  /**
+   * Release the microphone, the playback element and the AudioContext.
+   * Event subscriptions are kept, and the next source switch builds
+   * everything again from scratch.
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    // A context still being created has to finish before it can be closed
+    const contextReady = this.contextReady;
+    this.contextReady = null;
     this.isInitialized = false;
+    await contextReady?.catch(() => {});
+
+    navigator.mediaDevices.removeEventListener?.('devicechange', this.handleDeviceChange);
+    this.disconnectSource();
+    if (this.mediaElement) {
+      this.mediaElement.removeAttribute('src');
+      this.mediaElement.load();
+    }
+
+    if (this.analysisNode) {
+      this.analysisNode.port.onmessage = null;
+      this.analysisNode.port.close();
+      this.analysisNode.disconnect();
+    }
+    this.inputNode?.disconnect();
+
+    const audioContext = this.audioContext;
+    this.audioContext = null;
+    this.inputNode = null;
+    this.analysisMode = null;
+    this.analysisNode = null;
+    this.sharedMetrics = null;
+    this.extractor = null;
+    this.analyser = null;
+    this.fluxAnalyser = null;
+    this.pitchAnalyser = null;
+    this.dataArray = null;
+    this.fluxData = null;
+    this.pitchBuffer = null;
+    this.pitchSpectrum = null;
+    // The element is bound to the closed context's source node, so a new one is needed too
+    this.mediaElement = null;
+    this.mediaElementSource = null;
+    this.playbackStreamDestination = null;
+    this.latestMetrics = createEmptyMetrics();
+
+    if (audioContext && audioContext.state !== 'closed') await audioContext.close();
   }
 }
 
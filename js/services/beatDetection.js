@@ -0,0 +1,196 @@
+/**
+ * Spectral-flux onset detection and a simple inter-onset-interval tempo
+ * tracker. Both are fed once per analysis frame and keep only small
+ * rolling histories, so they are cheap enough to run every frame.
+ */
+
+/**
+ * Positive spectral flux between two byte spectra over a bin range, normalised to 0-1
+ * @param {ArrayLike<number>} current
+ * @param {ArrayLike<number>} previous
+ * @param {import('./audioAnalysis.js').BinRange} range
+ * @returns {number}
+ */
+export function spectralFlux(current, previous, range) {
+  let flux = 0;
+  for (let i = range.start; i <= range.end; i++) {
+    const diff = current[i] - previous[i];
+    if (diff > 0) flux += diff;
+  }
+  return flux / ((range.end - range.start + 1) * 255);
+}
+
+export class OnsetDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historySize] - Frames in the adaptive threshold window
+   * @param {number} [options.sensitivity] - Standard deviations above the mean to count as an onset
+   * @param {number} [options.minInterval] - Refractory period in seconds
+   * @param {number} [options.minFlux] - Floor that keeps silence from triggering
+   */
+  constructor({ historySize = 43, sensitivity = 1.5, minInterval = 0.1, minFlux = 0.004 } = {}) {
+    this.historySize = historySize;
+    this.sensitivity = sensitivity;
+    this.minInterval = minInterval;
+    this.minFlux = minFlux;
+
+    /** @type {number[]} */
+    this.history = [];
+    this.previousFlux = 0;
+    this.lastOnsetTime = -Infinity;
+  }
+
+  /**
+   * @param {number} flux
+   * @param {number} time - Seconds
+   * @returns {number} Onset strength in 0-1, or 0 when there is no onset
+   */
+  process(flux, time) {
+    const history = this.history;
+    let strength = 0;
+
+    if (history.length >= this.historySize / 2) {
+      let mean = 0;
+      for (const value of history) mean += value;
+      mean /= history.length;
+
+      let variance = 0;
+      for (const value of history) variance += (value - mean) * (value - mean);
+      const threshold = Math.max(mean + this.sensitivity * Math.sqrt(variance / history.length), this.minFlux);
+
+      const isRising = flux > this.previousFlux;
+      const isRested = time - this.lastOnsetTime >= this.minInterval;
+      if (flux > threshold && isRising && isRested) {
+        strength = Math.min(1, (flux - threshold) / threshold);
+        this.lastOnsetTime = time;
+      }
+    }
+
+    history.push(flux);
+    if (history.length > this.historySize) history.shift();
+    this.previousFlux = flux;
+
+    return strength;
+  }
+
+  reset() {
+    this.history.length = 0;
+    this.previousFlux = 0;
+    this.lastOnsetTime = -Infinity;
+  }
+}
+
+/**
+ * @typedef {Object} TempoUpdate
+ * @property {boolean} isBeat - Whether the onset landed on the beat grid
+ * @property {number} bpm - Current estimate, 0 until enough onsets were seen
+ * @property {number} confidence - Share of the interval histogram behind the estimate, 0-1
+ */
+
+export class TempoEstimator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minBpm]
+   * @param {number} [options.maxBpm]
+   * @param {number} [options.window] - Seconds of onsets to keep
+   */
+  constructor({ minBpm = 60, maxBpm = 180, window = 8 } = {}) {
+    this.minBpm = minBpm;
+    this.maxBpm = maxBpm;
+    this.window = window;
+
+    /** @type {{ time: number, strength: number }[]} */
+    this.onsets = [];
+    this.bpm = 0;
+    this.confidence = 0;
+    this.lastBeatTime = -Infinity;
+  }
+
+  /**
+   * @param {number} time - Seconds
+   * @param {number} strength
+   * @returns {TempoUpdate}
+   */
+  addOnset(time, strength) {
+    this.onsets.push({ time, strength });
+    while (this.onsets.length && this.onsets[0].time < time - this.window) this.onsets.shift();
+
+    this.estimate();
+
+    const isBeat = this.isOnBeat(time);
+    if (isBeat) this.lastBeatTime = time;
+
+    return { isBeat, bpm: this.bpm, confidence: this.confidence };
+  }
+
+  /**
+   * Vote every pair of onsets up to one maximum period apart into a BPM
+   * histogram. Short intervals are folded up into the tempo range, and a
+   * prior centred on 120 BPM settles ties between half and double time.
+   */
+  estimate() {
+    const onsets = this.onsets;
+    if (onsets.length < 4) return;
+
+    const minPeriod = 60 / this.maxBpm;
+    const maxPeriod = 60 / this.minBpm;
+    /** @type {Map<number, number>} */
+    const histogram = new Map();
+    let total = 0;
+
+    for (let i = 0; i < onsets.length; i++) {
+      for (let j = i + 1; j < onsets.length; j++) {
+        let interval = onsets[j].time - onsets[i].time;
+        if (interval > maxPeriod) break;
+        if (interval <= 0) continue;
+        while (interval < minPeriod) interval *= 2;
+
+        const bpm = Math.round(60 / interval);
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+        const weight = (onsets[i].strength * onsets[j].strength + 0.01) * prior;
+        histogram.set(bpm, (histogram.get(bpm) || 0) + weight);
+        histogram.set(bpm - 1, (histogram.get(bpm - 1) || 0) + weight * 0.5);
+        histogram.set(bpm + 1, (histogram.get(bpm + 1) || 0) + weight * 0.5);
+        total += weight * 2;
+      }
+    }
+
+    let bestBpm = 0;
+    let bestWeight = 0;
+    histogram.forEach((weight, bpm) => {
+      if (weight > bestWeight) {
+        bestWeight = weight;
+        bestBpm = bpm;
+      }
+    });
+
+    if (bestBpm > 0) {
+      this.bpm = bestBpm;
+      this.confidence = total > 0 ? Math.min(1, bestWeight / total) : 0;
+    }
+  }
+
+  /**
+   * @param {number} time
+   * @returns {boolean}
+   */
+  isOnBeat(time) {
+    if (!this.bpm) return true;
+
+    const period = 60 / this.bpm;
+    const elapsed = time - this.lastBeatTime;
+    // Lost the grid (silence, tempo change): resync on this onset
+    if (elapsed > period * 2.5) return true;
+    if (elapsed < period * 0.5) return false;
+
+    const phase = elapsed / period;
+    return Math.abs(phase - Math.round(phase)) < 0.2;
+  }
+
+  reset() {
+    this.onsets.length = 0;
+    this.bpm = 0;
+    this.confidence = 0;
+    this.lastBeatTime = -Infinity;
+  }
+}
@@ -0,0 +1,280 @@
+import { CONFIG_SECTIONS } from '../visualizer/fluidConfig.js';
+
+/**
+ * Mapping of keyboard keys and MIDI messages to app controls. Bindings are
+ * plain JSON so they can be stored; what each action does lives in App.
+ */
+
+/**
+ * @typedef {import('../visualizer/fluidConfig.js').ConfigField} ConfigField
+ */
+
+/**
+ * A key, MIDI control change or MIDI note. Keys are `KeyboardEvent.key`,
+ * lowercased when they are a single character; channels are 0-15.
+ * @typedef {{ type: 'key', key: string } | { type: 'cc' | 'note', channel: number, number: number }} BindingSource
+ */
+
+/**
+ * @typedef {'gain' | 'gain-up' | 'gain-down' | 'preset-next' | 'preset-previous' | 'color-mode-next' | 'emitters-next'
+ *   | 'path-next' | 'pause' | 'step' | 'time-slower' | 'time-faster' | 'time-reset' | 'config'} ControlAction
+ */
+
+/**
+ * Triggers fire on a key press, note on or a CC crossing the halfway point;
+ * continuous controls follow a CC's value and can only be bound to one.
+ * @typedef {'trigger' | 'continuous'} ControlKind
+ */
+
+/**
+ * Something a binding can drive. `param` is the config key for `config`.
+ * @typedef {Object} ControlTarget
+ * @property {ControlAction} action
+ * @property {string} [param]
+ * @property {string} label
+ * @property {ControlKind} kind
+ */
+
+/**
+ * @typedef {Object} ControlBinding
+ * @property {string} id
+ * @property {BindingSource} source
+ * @property {ControlAction} action
+ * @property {string} [param]
+ */
+
+const BINDING_STORAGE_KEY = 'echo-flume.bindings';
+
+/** @type {Record<Exclude<ControlAction, 'config'>, { label: string, kind: ControlKind }>} */
+export const CONTROL_ACTIONS = {
+  gain: { label: 'Gain', kind: 'continuous' },
+  'gain-up': { label: 'Gain up', kind: 'trigger' },
+  'gain-down': { label: 'Gain down', kind: 'trigger' },
+  'preset-next': { label: 'Next preset', kind: 'trigger' },
+  'preset-previous': { label: 'Previous preset', kind: 'trigger' },
+  'color-mode-next': { label: 'Next colour mode', kind: 'trigger' },
+  'emitters-next': { label: 'Next emitter layout', kind: 'trigger' },
+  'path-next': { label: 'Next path type', kind: 'trigger' },
+  pause: { label: 'Pause / resume', kind: 'trigger' },
+  step: { label: 'Step frame', kind: 'trigger' },
+  'time-slower': { label: 'Slower', kind: 'trigger' },
+  'time-faster': { label: 'Faster', kind: 'trigger' },
+  'time-reset': { label: 'Real time', kind: 'trigger' }
+};
+
+/**
+ * @param {string} key
+ * @param {ControlAction} action
+ * @param {string} [param]
+ * @returns {Omit<ControlBinding, 'id'>}
+ */
+function keyBinding(key, action, param) {
+  return { source: { type: 'key', key }, action, ...(param ? { param } : {}) };
+}
+
+const DEFAULT_BINDINGS = [
+  keyBinding('p', 'pause'),
+  keyBinding('.', 'step'),
+  keyBinding('[', 'time-slower'),
+  keyBinding(']', 'time-faster'),
+  keyBinding('0', 'time-reset'),
+  keyBinding('ArrowUp', 'gain-up'),
+  keyBinding('ArrowDown', 'gain-down'),
+  keyBinding('ArrowRight', 'preset-next'),
+  keyBinding('ArrowLeft', 'preset-previous'),
+  keyBinding('c', 'color-mode-next'),
+  keyBinding('e', 'emitters-next'),
+  keyBinding('m', 'path-next'),
+  keyBinding('b', 'config', 'BLOOM'),
+  keyBinding('s', 'config', 'SUNRAYS')
+];
+
+/**
+ * Config fields that can be bound: toggles as triggers, sliders and selects as continuous controls
+ * @type {ControlTarget[]}
+ */
+const CONFIG_TARGETS = CONFIG_SECTIONS.flatMap(section => section.fields
+  .filter(field => field.control === 'toggle' || field.control === 'range' || field.control === 'select')
+  .map(field => ({
+    action: /** @type {ControlAction} */ ('config'),
+    param: field.key,
+    label: `${section.title} · ${field.label}`,
+    kind: /** @type {ControlKind} */ (field.control === 'toggle' ? 'trigger' : 'continuous')
+  })));
+
+/**
+ * Everything a binding can drive, for the learn menu
+ * @returns {ControlTarget[]}
+ */
+export function listControlTargets() {
+  const actions = Object.entries(CONTROL_ACTIONS).map(([action, { label, kind }]) => ({
+    action: /** @type {ControlAction} */ (action),
+    label,
+    kind
+  }));
+  return [...actions, ...CONFIG_TARGETS];
+}
+
+/**
+ * @param {ControlAction} action
+ * @param {string} [param]
+ * @returns {ControlTarget | null}
+ */
+export function getControlTarget(action, param) {
+  if (action === 'config') return CONFIG_TARGETS.find(target => target.param === param) || null;
+  const definition = CONTROL_ACTIONS[action];
+  return definition ? { action, ...definition } : null;
+}
+
+/**
+ * @param {string} key
+ * @returns {ConfigField | null}
+ */
+export function findConfigField(key) {
+  for (const section of CONFIG_SECTIONS) {
+    const field = section.fields.find(f => f.key === key);
+    if (field) return field;
+  }
+  return null;
+}
+
+/**
+ * Map a 0-1 controller value onto a config field's range or options
+ * @param {ConfigField} field
+ * @param {number} value
+ * @returns {number | string}
+ */
+export function scaleConfigValue(field, value) {
+  if (field.control === 'select') {
+    return field.options[Math.round(value * (field.options.length - 1))];
+  }
+  const steps = Math.round(value * (field.max - field.min) / field.step);
+  // Rounded to the step's precision so 0.1 + 0.2 doesn't leak into the config
+  return Number((field.min + steps * field.step).toFixed(6));
+}
+
+/**
+ * Continuous controls need a CC; anything can fire a trigger
+ * @param {ControlTarget} target
+ * @param {BindingSource} source
+ * @returns {boolean}
+ */
+export function acceptsSource(target, source) {
+  return target.kind === 'trigger' || source.type === 'cc';
+}
+
+/**
+ * @param {BindingSource} a
+ * @param {BindingSource} b
+ * @returns {boolean}
+ */
+export function sourcesMatch(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.type === 'key') return a.key === /** @type {{ key: string }} */ (b).key;
+  const midi = /** @type {{ channel: number, number: number }} */ (b);
+  return a.channel === midi.channel && a.number === midi.number;
+}
+
+/**
+ * @param {KeyboardEvent} e
+ * @returns {BindingSource}
+ */
+export function keySource(e) {
+  return { type: 'key', key: e.key.length === 1 ? e.key.toLowerCase() : e.key };
+}
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+/**
+ * @param {BindingSource} source
+ * @returns {string}
+ */
+export function describeSource(source) {
+  if (source.type === 'key') {
+    if (source.key === ' ') return 'Space';
+    return source.key.length === 1 ? source.key.toUpperCase() : source.key.replace(/^Arrow/, '');
+  }
+  const channel = `ch ${source.channel + 1}`;
+  if (source.type === 'cc') return `CC ${source.number} · ${channel}`;
+  // MIDI note 60 is middle C, C4
+  return `${NOTE_NAMES[source.number % 12]}${Math.floor(source.number / 12) - 1} · ${channel}`;
+}
+
+/**
+ * @param {BindingSource} source
+ * @param {ControlTarget} target
+ * @returns {ControlBinding}
+ */
+export function createBinding(source, target) {
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    source,
+    action: target.action,
+    ...(target.param ? { param: target.param } : {})
+  };
+}
+
+/**
+ * @returns {ControlBinding[]}
+ */
+export function createDefaultBindings() {
+  return DEFAULT_BINDINGS.map(binding => createBinding(binding.source, /** @type {ControlTarget} */ (getControlTarget(binding.action, binding.param))));
+}
+
+/**
+ * @param {any} data
+ * @returns {BindingSource}
+ */
+function parseSource(data) {
+  if (data?.type === 'key' && typeof data.key === 'string' && data.key) return { type: 'key', key: data.key };
+  if ((data?.type === 'cc' || data?.type === 'note')
+    && Number.isInteger(data.channel) && data.channel >= 0 && data.channel < 16
+    && Number.isInteger(data.number) && data.number >= 0 && data.number < 128) {
+    return { type: data.type, channel: data.channel, number: data.number };
+  }
+  throw new Error('Binding has no valid source');
+}
+
+/**
+ * Validate a stored binding, which may predate the current set of controls
+ * @param {any} data
+ * @returns {ControlBinding}
+ */
+export function parseBinding(data) {
+  const target = getControlTarget(data?.action, data?.param);
+  if (!target) throw new Error(`Unknown control "${data?.action}"`);
+  const source = parseSource(data.source);
+  if (!acceptsSource(target, source)) throw new Error(`${target.label} needs a MIDI CC`);
+  return { ...createBinding(source, target), ...(typeof data.id === 'string' ? { id: data.id } : {}) };
+}
+
+/**
+ * Stored bindings, or the defaults when none have been saved; entries that no longer parse are skipped
+ * @returns {ControlBinding[]}
+ */
+export function loadBindings() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(BINDING_STORAGE_KEY) || 'null');
+  } catch (e) {
+    console.error("Stored bindings are not valid JSON", e);
+    return createDefaultBindings();
+  }
+  if (!Array.isArray(stored)) return createDefaultBindings();
+
+  return stored.flatMap(data => {
+    try {
+      return [parseBinding(data)];
+    } catch (e) {
+      console.error("Skipping stored binding", e);
+      return [];
+    }
+  });
+}
+
+/**
+ * @param {ControlBinding[]} bindings
+ */
+export function saveBindings(bindings) {
+  localStorage.setItem(BINDING_STORAGE_KEY, JSON.stringify(bindings));
+}
@@ -0,0 +1,317 @@
+import { createBandRanges, bandToBins, averageBins, peakBin } from './audioAnalysis.js';
+import { OnsetDetector, TempoEstimator, spectralFlux } from './beatDetection.js';
+import { detectPitch, computeChroma } from './pitchDetection.js';
+
+/**
+ * Turns one frame of spectra and samples into AudioMetrics plus onset/beat
+ * events. It only sees plain arrays, so the same code runs on the main
+ * thread (fed by AnalyserNodes) and inside the analysis AudioWorklet (fed
+ * by SpectrumAnalyser).
+ */
+
+/**
+ * @typedef {import('./audioManager.js').AudioMetrics} AudioMetrics
+ * @typedef {import('./audioManager.js').AudioAnalysisOptions} AudioAnalysisOptions
+ * @typedef {import('./audioManager.js').OnsetBand} OnsetBand
+ * @typedef {import('./audioAnalysis.js').BinRange} BinRange
+ */
+
+/**
+ * @typedef {Object} AnalysisFrame
+ * @property {number} time - AudioContext time in seconds
+ * @property {Uint8Array} spectrum - Smoothed byte spectrum, `fftSize / 2` bins
+ * @property {Uint8Array} fluxSpectrum - Unsmoothed byte spectrum, `fftSize / 2` bins
+ * @property {Float32Array} timeDomain - Latest `pitchWindowSize` samples
+ * @property {Uint8Array} pitchSpectrum - Unsmoothed byte spectrum, `pitchWindowSize / 2` bins
+ */
+
+/**
+ * @typedef {Object} AnalysisEvent
+ * @property {'onset' | 'beat'} type
+ * @property {import('./audioManager.js').OnsetEvent | import('./audioManager.js').BeatEvent} payload
+ */
+
+const ONSET_BANDS = /** @type {const} */ (['bass', 'mid', 'treble']);
+const ONSET_DECAY_SECONDS = 0.15;
+
+// Chroma bins are smoothed over time so a single noisy frame can't flip the colour
+const CHROMA_SMOOTHING = 0.8;
+
+// YIN's cost grows with the square of the sample rate, so it runs on a decimated copy
+// of the window that still has this many samples per period of the highest pitch
+const PITCH_SAMPLES_PER_PERIOD = 8;
+
+/**
+ * Copy of metrics that the extractor will overwrite on its next frame
+ * @param {AudioMetrics} metrics
+ * @returns {AudioMetrics}
+ */
+export function copyMetrics(metrics) {
+  return { ...metrics, bands: Array.from(metrics.bands), chroma: Array.from(metrics.chroma) };
+}
+
+/**
+ * Metrics for silence, before any source is connected
+ * @returns {AudioMetrics}
+ */
+export function createEmptyMetrics() {
+  return {
+    bass: 0, mid: 0, treble: 0, volume: 0, frequency: 0, bands: [],
+    onset: 0, bpm: 0, pitch: 0, pitchConfidence: 0, chroma: new Array(12).fill(0)
+  };
+}
+
+export class FeatureExtractor {
+  /**
+   * @param {AudioAnalysisOptions} options
+   * @param {number} sampleRate
+   */
+  constructor(options, sampleRate) {
+    this.sampleRate = sampleRate;
+
+    this.onsetDetectors = {
+      bass: new OnsetDetector(),
+      mid: new OnsetDetector(),
+      treble: new OnsetDetector(),
+      full: new OnsetDetector({ sensitivity: 1.2 })
+    };
+    this.tempoEstimator = new TempoEstimator();
+    this.onsetEnvelope = 0;
+    this.lastTime = 0;
+
+    this.frameChroma = new Float32Array(12);
+    this.chroma = new Float32Array(12);
+
+    this.configure(options);
+  }
+
+  /**
+   * @param {AudioAnalysisOptions} options
+   */
+  configure(options) {
+    const { fftSize, bands, bandCount, bandScale, minFrequency, maxFrequency, pitchWindowSize, maxPitch } = options;
+    this.options = options;
+
+    const nyquist = this.sampleRate / 2;
+    const toBins = (band) => bandToBins(band, this.sampleRate, fftSize);
+
+    /** @type {{ bass: BinRange, mid: BinRange, treble: BinRange }} */
+    this.namedBins = {
+      bass: toBins(bands.bass),
+      mid: toBins(bands.mid),
+      treble: toBins(bands.treble)
+    };
+    /** @type {BinRange[]} */
+    this.bandBins = createBandRanges(bandCount, minFrequency, Math.min(maxFrequency, nyquist), bandScale).map(toBins);
+    this.fullBins = { start: 0, end: fftSize / 2 - 1 };
+    this.previousFluxSpectrum = new Uint8Array(fftSize / 2);
+
+    this.pitchDecimation = Math.max(1, Math.floor(this.sampleRate / (PITCH_SAMPLES_PER_PERIOD * maxPitch)));
+    this.pitchFrame = new Float32Array(Math.floor(pitchWindowSize / this.pitchDecimation));
+    // YIN scratch space, so the audio thread doesn't allocate it every frame
+    this.pitchDifferences = new Float32Array(this.pitchFrame.length >> 1);
+
+    // Written in place every frame; see process()
+    this.metrics = createEmptyMetrics();
+    this.metrics.bands = new Array(this.bandBins.length).fill(0);
+    /** @type {AnalysisEvent[]} */
+    this.events = [];
+    this.output = { metrics: this.metrics, events: this.events };
+
+    this.reset();
+  }
+
+  reset() {
+    Object.values(this.onsetDetectors).forEach(detector => detector.reset());
+    this.tempoEstimator.reset();
+    this.previousFluxSpectrum.fill(0);
+    this.onsetEnvelope = 0;
+    this.chroma.fill(0);
+  }
+
+  /**
+   * Analyse a frame. To keep the audio thread free of garbage, the returned
+   * metrics and events are reused and overwritten by the next call; use
+   * copyMetrics() to keep them.
+   * @param {AnalysisFrame} frame
+   * @returns {{ metrics: AudioMetrics, events: AnalysisEvent[] }}
+   */
+  process(frame) {
+    const data = frame.spectrum;
+    const { metrics, events } = this;
+    events.length = 0;
+
+    metrics.bass = averageBins(data, this.namedBins.bass);
+    metrics.mid = averageBins(data, this.namedBins.mid);
+    metrics.treble = averageBins(data, this.namedBins.treble);
+    metrics.volume = (metrics.bass + metrics.mid + metrics.treble) / 3;
+    for (let i = 0; i < this.bandBins.length; i++) metrics.bands[i] = averageBins(data, this.bandBins[i]);
+
+    // Calculate dominant frequency
+    metrics.frequency = peakBin(data) * this.sampleRate / this.options.fftSize;
+
+    this.detectBeats(frame, events);
+    this.detectPitch(frame, metrics);
+
+    metrics.onset = this.onsetEnvelope;
+    metrics.bpm = this.tempoEstimator.bpm;
+    for (let i = 0; i < 12; i++) metrics.chroma[i] = this.chroma[i];
+
+    return this.output;
+  }
+
+  /**
+   * Spectral-flux onsets per band and on the full spectrum; full-band
+   * onsets drive the tempo estimate and beat events.
+   * @param {AnalysisFrame} frame
+   * @param {AnalysisEvent[]} events
+   */
+  detectBeats(frame, events) {
+    const { time } = frame;
+    const current = frame.fluxSpectrum;
+    const previous = this.previousFluxSpectrum;
+
+    const elapsed = Math.max(0, time - this.lastTime);
+    this.lastTime = time;
+    this.onsetEnvelope *= Math.exp(-elapsed / ONSET_DECAY_SECONDS);
+
+    /** @type {OnsetBand} */
+    let strongestBand = 'full';
+    let strongest = 0;
+    for (const band of ONSET_BANDS) {
+      const flux = spectralFlux(current, previous, this.namedBins[band]);
+      const strength = this.onsetDetectors[band].process(flux, time);
+      if (strength > 0) {
+        events.push({ type: 'onset', payload: { time, strength, band } });
+        if (strength > strongest) {
+          strongest = strength;
+          strongestBand = band;
+        }
+      }
+    }
+
+    const fullFlux = spectralFlux(current, previous, this.fullBins);
+    const strength = this.onsetDetectors.full.process(fullFlux, time);
+    if (strength > 0) {
+      events.push({ type: 'onset', payload: { time, strength, band: 'full' } });
+      this.onsetEnvelope = Math.max(this.onsetEnvelope, strength);
+
+      const { isBeat, bpm, confidence } = this.tempoEstimator.addOnset(time, strength);
+      if (isBeat) {
+        events.push({
+          type: 'beat',
+          payload: { time, strength: Math.max(strength, strongest), band: strongestBand, bpm, confidence }
+        });
+      }
+    }
+
+    previous.set(current);
+  }
+
+  /**
+   * Fundamental frequency via YIN plus a smoothed chromagram
+   * @param {AnalysisFrame} frame
+   * @param {AudioMetrics} metrics - Gets `pitch` and `pitchConfidence`
+   */
+  detectPitch(frame, metrics) {
+    const { minPitch, maxPitch, pitchWindowSize } = this.options;
+
+    // Averaging each run of samples doubles as a crude anti-aliasing filter; any
+    // leftover samples are dropped from the old end so the newest always count
+    const { timeDomain } = frame;
+    const decimation = this.pitchDecimation;
+    const pitchFrame = this.pitchFrame;
+    const offset = timeDomain.length - pitchFrame.length * decimation;
+    for (let i = 0; i < pitchFrame.length; i++) {
+      let sum = 0;
+      for (let j = 0; j < decimation; j++) sum += timeDomain[offset + i * decimation + j];
+      pitchFrame[i] = sum / decimation;
+    }
+
+    const { frequency, confidence } = detectPitch(pitchFrame, this.sampleRate / decimation, {
+      minFrequency: minPitch,
+      maxFrequency: maxPitch
+    }, this.pitchDifferences);
+    metrics.pitch = frequency;
+    metrics.pitchConfidence = confidence;
+
+    computeChroma(frame.pitchSpectrum, this.sampleRate, pitchWindowSize, {}, this.frameChroma);
+    for (let i = 0; i < 12; i++) {
+      this.chroma[i] = this.chroma[i] * CHROMA_SMOOTHING + this.frameChroma[i] * (1 - CHROMA_SMOOTHING);
+    }
+  }
+}
+
+// --- Shared metrics buffer ---
+// Layout: one Int32 sequence counter, then the scalar fields, the chromagram,
+// the band count and up to MAX_SHARED_BANDS band values as Float32. The
+// counter is a seqlock: the writer makes it odd while writing and even when
+// done, so a reader that sees the same even value before and after its read
+// got a consistent frame without ever blocking the audio thread.
+
+export const MAX_SHARED_BANDS = 64;
+
+const SCALAR_FIELDS = /** @type {const} */ (['bass', 'mid', 'treble', 'volume', 'frequency', 'onset', 'bpm', 'pitch', 'pitchConfidence']);
+const CHROMA_OFFSET = SCALAR_FIELDS.length;
+const BAND_COUNT_OFFSET = CHROMA_OFFSET + 12;
+const BANDS_OFFSET = BAND_COUNT_OFFSET + 1;
+const METRICS_LENGTH = BANDS_OFFSET + MAX_SHARED_BANDS;
+
+/**
+ * @returns {SharedArrayBuffer}
+ */
+export function createMetricsBuffer() {
+  return new SharedArrayBuffer(4 + METRICS_LENGTH * 4);
+}
+
+/**
+ * @param {SharedArrayBuffer} buffer
+ * @returns {{ sequence: Int32Array, values: Float32Array }}
+ */
+export function getMetricsViews(buffer) {
+  return {
+    sequence: new Int32Array(buffer, 0, 1),
+    values: new Float32Array(buffer, 4, METRICS_LENGTH)
+  };
+}
+
+/**
+ * Writer side, called from the audio thread
+ * @param {{ sequence: Int32Array, values: Float32Array }} views
+ * @param {AudioMetrics} metrics
+ */
+export function publishMetrics({ sequence, values }, metrics) {
+  Atomics.add(sequence, 0, 1);
+
+  for (let i = 0; i < SCALAR_FIELDS.length; i++) values[i] = metrics[SCALAR_FIELDS[i]];
+  values.set(metrics.chroma, CHROMA_OFFSET);
+  const bandCount = Math.min(metrics.bands.length, MAX_SHARED_BANDS);
+  values[BAND_COUNT_OFFSET] = bandCount;
+  for (let i = 0; i < bandCount; i++) values[BANDS_OFFSET + i] = metrics.bands[i];
+
+  Atomics.add(sequence, 0, 1);
+}
+
+/**
+ * Reader side. Returns null if the writer kept the buffer busy for every attempt.
+ * @param {{ sequence: Int32Array, values: Float32Array }} views
+ * @returns {AudioMetrics | null}
+ */
+export function consumeMetrics({ sequence, values }) {
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const before = Atomics.load(sequence, 0);
+    if (before & 1) continue;
+
+    /** @type {any} */
+    const metrics = {};
+    SCALAR_FIELDS.forEach((field, i) => {
+      metrics[field] = values[i];
+    });
+    metrics.chroma = Array.from(values.subarray(CHROMA_OFFSET, CHROMA_OFFSET + 12));
+    const bandCount = values[BAND_COUNT_OFFSET];
+    metrics.bands = Array.from(values.subarray(BANDS_OFFSET, BANDS_OFFSET + bandCount));
+
+    if (Atomics.load(sequence, 0) === before) return metrics;
+  }
+  return null;
+}
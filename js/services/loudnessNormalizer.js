@@ -0,0 +1,101 @@
+/**
+ * Automatic gain control for AudioMetrics. Tracks the long-term RMS of the
+ * volume metric with separate attack and release times, and scales the
+ * level metrics so that loudness sits at a fixed target in 0-1 whether the
+ * source is a quiet room or a loud club.
+ */
+
+/**
+ * @typedef {import('./audioManager.js').AudioMetrics} AudioMetrics
+ */
+
+/**
+ * @typedef {Object} AutoGainOptions
+ * @property {boolean} autoGain - Normalise the level metrics; when off they pass through unscaled
+ * @property {number} autoGainTarget - Long-term level to normalise to, 0-1
+ * @property {number} autoGainAttack - Seconds for the loudness estimate to follow a louder input
+ * @property {number} autoGainRelease - Seconds for it to follow a quieter one
+ */
+
+// Below this the input counts as silence and doesn't move the estimate, so pauses don't pump the gain up
+const SILENCE_LEVEL = 0.05;
+
+// Most the AGC will amplify, so near-silent sources don't turn noise into full-scale levels
+const MAX_GAIN = 20;
+
+// Longest step to integrate, so a stalled tab doesn't jump the estimate
+const MAX_STEP = 0.25;
+
+export class LoudnessNormalizer {
+  /**
+   * @param {AutoGainOptions} options
+   */
+  constructor(options) {
+    this.configure(options);
+    this.reset();
+  }
+
+  /**
+   * @param {AutoGainOptions} options
+   */
+  configure({ autoGain, autoGainTarget, autoGainAttack, autoGainRelease }) {
+    this.enabled = autoGain;
+    this.target = autoGainTarget;
+    this.attack = autoGainAttack;
+    this.release = autoGainRelease;
+  }
+
+  reset() {
+    // Mean square of the 0-1 volume; 0 until the first non-silent frame
+    this.power = 0;
+    /** @type {number | null} */
+    this.lastTime = null;
+  }
+
+  /**
+   * Multiplier the AGC applies to 0-1 levels
+   * @returns {number}
+   */
+  get gain() {
+    if (this.power === 0) return 1;
+    return Math.min(MAX_GAIN, this.target / Math.sqrt(this.power));
+  }
+
+  /**
+   * Update the loudness estimate and, when enabled, normalise the metrics.
+   * The estimate is kept up to date while disabled so switching on is seamless.
+   * @param {AudioMetrics} metrics
+   * @param {number} time - Seconds
+   * @returns {AudioMetrics}
+   */
+  process(metrics, time) {
+    const dt = this.lastTime === null ? 0 : Math.min(MAX_STEP, Math.max(0, time - this.lastTime));
+    this.lastTime = time;
+
+    const level = metrics.volume;
+    if (level >= SILENCE_LEVEL) {
+      const power = level * level;
+      if (this.power === 0) {
+        // Start from the first real frame instead of easing up from silence at maximum gain
+        this.power = power;
+      } else {
+        const timeConstant = power > this.power ? this.attack : this.release;
+        this.power += (power - this.power) * (1 - Math.exp(-dt / timeConstant));
+      }
+    }
+
+    if (!this.enabled) return metrics;
+
+    const gain = this.gain;
+    /** @param {number} value */
+    const normalise = (value) => Math.min(1, value * gain);
+    return {
+      ...metrics,
+      bass: normalise(metrics.bass),
+      mid: normalise(metrics.mid),
+      treble: normalise(metrics.treble),
+      volume: normalise(metrics.volume),
+      bands: metrics.bands.map(normalise)
+    };
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Web MIDI input: listens to every connected controller, including ones
+ * plugged in later, and turns control change and note messages into
+ * normalised `message` events.
+ */
+
+/**
+ * @typedef {import('./controlBindings.js').BindingSource} BindingSource
+ */
+
+/**
+ * @typedef {Object} MidiMessage
+ * @property {BindingSource} source
+ * @property {number} value - 0-1: CC value or note velocity; 0 for note off
+ */
+
+/**
+ * @returns {boolean}
+ */
+export function isMidiSupported() {
+  return typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator;
+}
+
+/**
+ * @param {Uint8Array} data - Raw MIDI bytes
+ * @returns {MidiMessage | null} Null for messages other than CC, note on and note off
+ */
+export function parseMidiMessage(data) {
+  if (data.length < 3) return null;
+  const status = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+  const number = data[1];
+  const value = data[2] / 127;
+
+  switch (status) {
+    case 0xb0:
+      return { source: { type: 'cc', channel, number }, value };
+    case 0x90:
+      // Note on with velocity 0 is a note off
+      return { source: { type: 'note', channel, number }, value };
+    case 0x80:
+      return { source: { type: 'note', channel, number }, value: 0 };
+    default:
+      return null;
+  }
+}
+
+export class MidiInput {
+  constructor() {
+    /** @type {MIDIAccess | null} */
+    this.access = null;
+    /** @type {Map<string, Set<Function>>} */
+    this.listeners = new Map();
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStateChange = this.handleStateChange.bind(this);
+  }
+
+  /**
+   * Ask for MIDI access and start listening. Safe to call again once enabled.
+   * @returns {Promise<void>}
+   */
+  async enable() {
+    if (this.access) return;
+    if (!isMidiSupported()) throw new Error('Web MIDI is not supported in this browser');
+    this.access = await navigator.requestMIDIAccess();
+    this.access.addEventListener('statechange', this.handleStateChange);
+    this.attachInputs();
+  }
+
+  disable() {
+    if (!this.access) return;
+    this.access.removeEventListener('statechange', this.handleStateChange);
+    this.access.inputs.forEach(input => input.removeEventListener('midimessage', this.handleMessage));
+    this.access = null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isEnabled() {
+    return !!this.access;
+  }
+
+  /**
+   * @returns {string[]} Names of the connected inputs
+   */
+  getInputNames() {
+    if (!this.access) return [];
+    return [...this.access.inputs.values()]
+      .filter(input => input.state === 'connected')
+      .map(input => input.name || 'MIDI input');
+  }
+
+  attachInputs() {
+    // Adding the same listener twice is a no-op, so reattaching after a state change is safe
+    this.access.inputs.forEach(input => input.addEventListener('midimessage', this.handleMessage));
+  }
+
+  handleStateChange() {
+    this.attachInputs();
+    this.emit('inputs', this.getInputNames());
+  }
+
+  /**
+   * @param {MIDIMessageEvent} e
+   */
+  handleMessage(e) {
+    const message = parseMidiMessage(e.data);
+    if (message) this.emit('message', message);
+  }
+
+  /**
+   * Subscribe to an event. Returns an unsubscribe function.
+   * @param {'message' | 'inputs'} type
+   * @param {Function} listener
+   * @returns {() => void}
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   */
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {any} payload
+   */
+  emit(type, payload) {
+    this.listeners.get(type)?.forEach(listener => listener(payload));
+  }
+}
+
+export const midiInput = new MidiInput();
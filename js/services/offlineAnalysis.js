@@ -0,0 +1,117 @@
+import { SpectrumAnalyser } from './audioAnalysis.js';
+import { FeatureExtractor, copyMetrics } from './featureExtractor.js';
+import { LoudnessNormalizer } from './loudnessNormalizer.js';
+
+/**
+ * Offline counterpart of the live analysis: decodes a whole file up front
+ * and computes AudioMetrics for every video frame at a fixed frame rate.
+ * It feeds the same FeatureExtractor the AudioWorklet uses, from a window
+ * that ends at each frame's timestamp, so renders match what the live
+ * visualizer would have seen, just without dropped frames.
+ */
+
+/**
+ * @typedef {import('./audioManager.js').AudioMetrics} AudioMetrics
+ * @typedef {import('./audioManager.js').AudioAnalysisOptions} AudioAnalysisOptions
+ * @typedef {import('./audioManager.js').BeatEvent} BeatEvent
+ */
+
+/**
+ * @typedef {Object} FrameAnalysis
+ * @property {AudioMetrics[]} metrics - One entry per video frame
+ * @property {BeatEvent[][]} beats - Beats detected during each video frame
+ */
+
+// Minimum analysis rate, matching the live worklet; lower frame rates analyse several hops per frame
+const ANALYSIS_RATE = 60;
+
+// Frames analysed between yields to the event loop
+const FRAMES_PER_YIELD = 30;
+
+// Decoding rate when no analysis rate is given and there's no live context to take it from
+const FALLBACK_SAMPLE_RATE = 48000;
+
+/**
+ * Decode an audio file and resample it to mono at the analysis sample rate
+ * @param {Blob} file
+ * @param {number | null} sampleRate - Null to decode at a common rate; the result's `sampleRate` says which
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudioFile(file, sampleRate) {
+  const data = await file.arrayBuffer();
+  const decoded = await new OfflineAudioContext(1, 1, sampleRate ?? FALLBACK_SAMPLE_RATE).decodeAudioData(data);
+
+  const length = Math.ceil(decoded.duration * decoded.sampleRate);
+  const context = new OfflineAudioContext(1, length, decoded.sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = decoded;
+  source.connect(context.destination);
+  source.start();
+  return context.startRendering();
+}
+
+/**
+ * @param {Float32Array} samples - Mono samples at `options.sampleRate`
+ * @param {number} fps
+ * @param {AudioAnalysisOptions} options
+ * @param {{ onProgress?: (progress: number) => void, signal?: AbortSignal }} [callbacks]
+ * @returns {Promise<FrameAnalysis>}
+ */
+export async function analyseFrames(samples, fps, options, { onProgress, signal } = {}) {
+  const { sampleRate, fftSize, smoothingTimeConstant, pitchWindowSize } = options;
+  const extractor = new FeatureExtractor(options, sampleRate);
+  const normalizer = new LoudnessNormalizer(options);
+  const spectrumAnalyser = new SpectrumAnalyser(fftSize, smoothingTimeConstant);
+  const pitchAnalyser = new SpectrumAnalyser(pitchWindowSize, 0);
+  const spectrum = new Uint8Array(fftSize / 2);
+  const fluxSpectrum = new Uint8Array(fftSize / 2);
+  const pitchSpectrum = new Uint8Array(pitchWindowSize / 2);
+
+  const windowSize = Math.max(fftSize, pitchWindowSize);
+  const window = new Float32Array(windowSize);
+  const hopsPerFrame = Math.max(1, Math.ceil(ANALYSIS_RATE / fps));
+  const frameCount = Math.ceil(samples.length / sampleRate * fps);
+
+  /** @type {FrameAnalysis} */
+  const result = { metrics: [], beats: [] };
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    /** @type {AudioMetrics | null} */
+    let metrics = null;
+    /** @type {BeatEvent[]} */
+    const beats = [];
+
+    for (let hop = 1; hop <= hopsPerFrame; hop++) {
+      const time = (frame + hop / hopsPerFrame) / fps;
+      const end = Math.round(time * sampleRate);
+
+      // Latest windowSize samples before `end`, zero-padded before the start of the file
+      window.fill(0);
+      const start = end - windowSize;
+      window.set(samples.subarray(Math.max(0, start), Math.min(end, samples.length)), Math.max(0, -start));
+
+      const fftWindow = window.subarray(windowSize - fftSize);
+      const timeDomain = window.subarray(windowSize - pitchWindowSize);
+      spectrumAnalyser.getByteFrequencyData(fftWindow, spectrum, fluxSpectrum);
+      pitchAnalyser.getByteFrequencyData(timeDomain, pitchSpectrum);
+
+      const output = extractor.process({ time, spectrum, fluxSpectrum, timeDomain, pitchSpectrum });
+      metrics = output.metrics;
+      output.events.forEach(event => {
+        if (event.type === 'beat') beats.push(/** @type {BeatEvent} */ (event.payload));
+      });
+    }
+
+    result.metrics.push(normalizer.process(copyMetrics(metrics), (frame + 1) / fps));
+    result.beats.push(beats);
+
+    if (frame % FRAMES_PER_YIELD === 0) {
+      if (signal?.aborted) throw new DOMException('Analysis cancelled', 'AbortError');
+      onProgress?.(frame / frameCount);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  onProgress?.(1);
+  return result;
+}
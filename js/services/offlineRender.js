@@ -0,0 +1,190 @@
+import { decodeAudioFile, analyseFrames } from './offlineAnalysis.js';
+import { ZipWriter } from './zipWriter.js';
+import { WebMWriter } from './webmWriter.js';
+
+/**
+ * Frame-exact rendering of an audio file: analyse the whole file, then step
+ * the visualizer one fixed-length frame at a time and read every frame back
+ * as a PNG or a WebCodecs video frame. Output is video only; the source
+ * audio file is the soundtrack.
+ */
+
+/**
+ * @typedef {import('./audioManager.js').AudioAnalysisOptions} AudioAnalysisOptions
+ * @typedef {import('../components/FluidVisualizer.js').OfflineFrame} OfflineFrame
+ */
+
+/**
+ * @typedef {'png' | 'webm'} OfflineRenderFormat
+ */
+
+/**
+ * The parts of the FluidVisualizer component an offline render drives
+ * @typedef {Object} OfflineTarget
+ * @property {() => HTMLCanvasElement} getCanvas
+ * @property {(size: { width: number, height: number }) => void} beginOffline
+ * @property {(frame: OfflineFrame) => void} renderFrame
+ * @property {() => void} endOffline
+ */
+
+/**
+ * @typedef {Object} OfflineRenderOptions
+ * @property {Blob} file
+ * @property {OfflineTarget} target
+ * @property {AudioAnalysisOptions} analysisOptions
+ * @property {number} fps
+ * @property {number} width
+ * @property {number} height
+ * @property {OfflineRenderFormat} format
+ * @property {FileSystemDirectoryHandle | null} [directory] - Write PNG frames here instead of into a ZIP
+ * @property {(stage: 'analysing' | 'rendering', progress: number) => void} [onProgress]
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {Object} FrameSink
+ * @property {(canvas: HTMLCanvasElement, index: number) => Promise<void>} addFrame
+ * @property {() => Promise<Blob | null>} finish - The output file, or null when frames went to a directory
+ */
+
+// WebCodecs codec strings with their Matroska IDs, best first
+const VIDEO_CODECS = [
+  { codec: 'vp09.00.10.08', matroska: 'V_VP9' },
+  { codec: 'vp8', matroska: 'V_VP8' }
+];
+
+// Frames the encoder may hold before the render loop waits for it
+const MAX_ENCODE_QUEUE = 8;
+
+/**
+ * @returns {boolean}
+ */
+export function isWebCodecsSupported() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+/**
+ * @param {number} index
+ * @returns {string}
+ */
+function frameName(index) {
+  return `frame-${String(index + 1).padStart(6, '0')}.png`;
+}
+
+/**
+ * Start the PNG encode of the canvas as it is right now
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+function capturePng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode frame')), 'image/png');
+  });
+}
+
+/**
+ * @param {FileSystemDirectoryHandle | null} directory
+ * @returns {FrameSink}
+ */
+function createPngSink(directory) {
+  const zip = directory ? null : new ZipWriter();
+  return {
+    async addFrame(canvas, index) {
+      const blob = await capturePng(canvas);
+      if (directory) {
+        const handle = await directory.getFileHandle(frameName(index), { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      } else {
+        zip.add(frameName(index), new Uint8Array(await blob.arrayBuffer()));
+      }
+    },
+    async finish() {
+      return zip ? zip.finish() : null;
+    }
+  };
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} fps
+ * @returns {Promise<FrameSink>}
+ */
+async function createVideoSink(width, height, fps) {
+  /** @type {VideoEncoderConfig | null} */
+  let config = null;
+  let matroska = '';
+  for (const candidate of VIDEO_CODECS) {
+    const attempt = { codec: candidate.codec, width, height, framerate: fps, bitrate: 12_000_000 };
+    const { supported } = await VideoEncoder.isConfigSupported(attempt);
+    if (supported) {
+      config = attempt;
+      matroska = candidate.matroska;
+      break;
+    }
+  }
+  if (!config) throw new Error('No supported WebM video codec');
+
+  const writer = new WebMWriter({ codec: matroska, width, height });
+  /** @type {Error | null} */
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: chunk => writer.addChunk(chunk),
+    error: e => { encodeError = e; }
+  });
+  encoder.configure(config);
+
+  const frameDuration = 1e6 / fps;
+  // A keyframe every two seconds keeps the file seekable
+  const keyFrameInterval = Math.round(fps * 2);
+
+  return {
+    async addFrame(canvas, index) {
+      if (encodeError) throw encodeError;
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) });
+      encoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (encodeError) throw encodeError;
+      return writer.finish();
+    }
+  };
+}
+
+/**
+ * @param {OfflineRenderOptions} options
+ * @returns {Promise<Blob | null>} The ZIP or WebM file, or null when PNG frames were written to a directory
+ */
+export async function renderOffline({ file, target, analysisOptions, fps, width, height, format, directory = null, onProgress, signal }) {
+  const audio = await decodeAudioFile(file, analysisOptions.sampleRate);
+  const { metrics, beats } = await analyseFrames(audio.getChannelData(0), fps, { ...analysisOptions, sampleRate: audio.sampleRate }, {
+    signal,
+    onProgress: progress => onProgress?.('analysing', progress)
+  });
+
+  const sink = format === 'webm' ? await createVideoSink(width, height, fps) : createPngSink(directory);
+  const canvas = target.getCanvas();
+  const dt = 1 / fps;
+
+  target.beginOffline({ width, height });
+  try {
+    for (let i = 0; i < metrics.length; i++) {
+      if (signal?.aborted) throw new DOMException('Render cancelled', 'AbortError');
+      target.renderFrame({ metrics: metrics[i], beats: beats[i], dt });
+      // The frame must be captured before control returns to the browser
+      await sink.addFrame(canvas, i);
+      onProgress?.('rendering', (i + 1) / metrics.length);
+    }
+    return await sink.finish();
+  } finally {
+    target.endOffline();
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Time-domain pitch tracking (YIN) and a 12-bin chromagram.
+ * See de Cheveigné & Kawahara, "YIN, a fundamental frequency estimator
+ * for speech and music" (2002).
+ */
+
+/**
+ * @typedef {Object} PitchEstimate
+ * @property {number} frequency - Fundamental in Hz, 0 when unvoiced
+ * @property {number} confidence - 0-1
+ */
+
+/**
+ * @param {Float32Array} buffer
+ * @returns {number}
+ */
+export function rms(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / buffer.length);
+}
+
+/**
+ * Estimate the fundamental frequency of a mono time-domain frame with YIN.
+ * @param {Float32Array} buffer - At least two periods of the lowest pitch
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Absolute threshold on the normalised difference
+ * @param {number} [options.minFrequency]
+ * @param {number} [options.maxFrequency]
+ * @param {number} [options.silence] - RMS below which the frame is treated as unvoiced
+ * @param {Float32Array} [differences] - Scratch space of at least half the buffer's length, to reuse between frames
+ * @returns {PitchEstimate}
+ */
+export function detectPitch(buffer, sampleRate, { threshold = 0.15, minFrequency = 50, maxFrequency = 2000, silence = 0.01 } = {}, differences = new Float32Array(buffer.length >> 1)) {
+  if (rms(buffer) < silence) return { frequency: 0, confidence: 0 };
+
+  const windowSize = Math.floor(buffer.length / 2);
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const tauMax = Math.min(windowSize - 1, Math.ceil(sampleRate / minFrequency));
+  if (tauMax <= tauMin) return { frequency: 0, confidence: 0 };
+
+  // Difference function and its cumulative mean normalisation in one pass
+  const cmnd = differences;
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let diff = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const delta = buffer[i] - buffer[i + tau];
+      diff += delta * delta;
+    }
+    runningSum += diff;
+    cmnd[tau] = runningSum > 0 ? diff * tau / runningSum : 1;
+  }
+
+  // First dip under the threshold, walked down to its local minimum
+  let tau = -1;
+  for (let t = tauMin; t <= tauMax; t++) {
+    if (cmnd[t] < threshold) {
+      while (t + 1 <= tauMax && cmnd[t + 1] < cmnd[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau === -1) return { frequency: 0, confidence: 0 };
+
+  // Parabolic interpolation for sub-sample precision
+  let betterTau = tau;
+  if (tau > 1 && tau < tauMax) {
+    const s0 = cmnd[tau - 1];
+    const s1 = cmnd[tau];
+    const s2 = cmnd[tau + 1];
+    const denominator = 2 * (2 * s1 - s2 - s0);
+    if (denominator !== 0) betterTau = tau + (s2 - s0) / denominator;
+  }
+
+  return {
+    frequency: sampleRate / betterTau,
+    confidence: Math.max(0, Math.min(1, 1 - cmnd[tau]))
+  };
+}
+
+/**
+ * Pitch class of a frequency, 0 = C through 11 = B
+ * @param {number} frequency
+ * @returns {number}
+ */
+export function frequencyToChroma(frequency) {
+  const note = 12 * Math.log2(frequency / 440) + 69;
+  return ((Math.round(note) % 12) + 12) % 12;
+}
+
+/**
+ * Fold a byte magnitude spectrum into 12 pitch classes, normalised so the
+ * strongest class is 1. Writes into `out` when given.
+ * @param {ArrayLike<number>} spectrum
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ * @param {Object} [options]
+ * @param {number} [options.minFrequency]
+ * @param {number} [options.maxFrequency]
+ * @param {Float32Array} [out]
+ * @returns {Float32Array}
+ */
+export function computeChroma(spectrum, sampleRate, fftSize, { minFrequency = 60, maxFrequency = 5000 } = {}, out = new Float32Array(12)) {
+  out.fill(0);
+  const binHz = sampleRate / fftSize;
+  const start = Math.max(1, Math.ceil(minFrequency / binHz));
+  const end = Math.min(spectrum.length - 1, Math.floor(maxFrequency / binHz));
+
+  for (let i = start; i <= end; i++) {
+    const magnitude = spectrum[i] / 255;
+    out[frequencyToChroma(i * binHz)] += magnitude * magnitude;
+  }
+
+  let max = 0;
+  for (let i = 0; i < 12; i++) max = Math.max(max, out[i]);
+  if (max > 0) {
+    for (let i = 0; i < 12; i++) out[i] /= max;
+  }
+  return out;
+}
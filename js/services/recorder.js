@@ -0,0 +1,98 @@
+/**
+ * Records the visualizer canvas together with an audio stream into a WebM
+ * file using MediaRecorder.
+ */
+
+// Preferred containers and codecs, best first
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+/**
+ * @typedef {Object} RecorderOptions
+ * @property {number} [frameRate] - Canvas capture rate
+ * @property {number} [videoBitsPerSecond]
+ */
+
+/**
+ * @returns {string | null} First supported WebM type, or null when MediaRecorder can't record video
+ */
+export function getSupportedMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+export class CanvasRecorder {
+  constructor() {
+    /** @type {MediaRecorder | null} */
+    this.mediaRecorder = null;
+    /** @type {Blob[]} */
+    this.chunks = [];
+    /** @type {MediaStream | null} */
+    this.videoStream = null;
+    this.startedAt = 0;
+  }
+
+  get isRecording() {
+    return this.mediaRecorder?.state === 'recording';
+  }
+
+  /**
+   * Seconds since recording started
+   * @returns {number}
+   */
+  getDuration() {
+    return this.isRecording ? (performance.now() - this.startedAt) / 1000 : 0;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {MediaStream | null} audioStream - Recorded alongside the video when it has audio tracks
+   * @param {RecorderOptions} [options]
+   */
+  start(canvas, audioStream, { frameRate = 60, videoBitsPerSecond = 8_000_000 } = {}) {
+    if (this.isRecording) return;
+
+    const mimeType = getSupportedMimeType();
+    if (!mimeType) throw new Error('Video recording is not supported in this browser');
+
+    this.videoStream = canvas.captureStream(frameRate);
+    const stream = new MediaStream([
+      ...this.videoStream.getVideoTracks(),
+      ...(audioStream?.getAudioTracks() || [])
+    ]);
+
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+    this.mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+    // Flush a chunk every second so a crash mid-recording loses little
+    this.mediaRecorder.start(1000);
+    this.startedAt = performance.now();
+  }
+
+  /**
+   * @returns {Promise<Blob | null>} The recording, or null if nothing was recording
+   */
+  stop() {
+    const recorder = this.mediaRecorder;
+    if (!recorder || recorder.state === 'inactive') return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        // Only the canvas tracks are ours; the audio tracks belong to the AudioManager
+        this.videoStream?.getTracks().forEach(track => track.stop());
+        this.videoStream = null;
+        this.mediaRecorder = null;
+
+        const blob = new Blob(this.chunks, { type: recorder.mimeType.split(';')[0] });
+        this.chunks = [];
+        resolve(blob);
+      };
+      recorder.stop();
+    });
+  }
+}
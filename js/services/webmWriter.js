@@ -0,0 +1,166 @@
+/**
+ * Minimal WebM muxer for a single video track of encoded chunks, as
+ * produced by WebCodecs' VideoEncoder. Clusters start on every keyframe;
+ * the segment is assembled at the end so its size and duration are known.
+ */
+
+/**
+ * @typedef {Object} WebMTrack
+ * @property {string} codec - Matroska codec ID, e.g. `V_VP9`
+ * @property {number} width
+ * @property {number} height
+ */
+
+// Relative block timecodes are signed 16-bit milliseconds
+const MAX_CLUSTER_MS = 30000;
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array} Big-endian bytes, as few as possible
+ */
+function uint(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function float64(value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Element size as an 8-byte variable-length integer
+ * @param {number} size
+ * @returns {Uint8Array}
+ */
+function vintSize(size) {
+  const bytes = new Uint8Array(8);
+  bytes[0] = 0x01;
+  for (let i = 7, value = size; i > 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * @param {number} id - Element ID including its length marker bits
+ * @param {Uint8Array | Uint8Array[]} payload
+ * @returns {Uint8Array}
+ */
+function element(id, payload) {
+  const data = Array.isArray(payload) ? concat(payload) : payload;
+  return concat([uint(id), vintSize(data.length), data]);
+}
+
+export class WebMWriter {
+  /**
+   * @param {WebMTrack} track
+   */
+  constructor(track) {
+    this.track = track;
+    /** @type {Uint8Array[]} */
+    this.clusters = [];
+    /** @type {Uint8Array[]} */
+    this.blocks = [];
+    this.clusterTime = 0;
+    this.duration = 0;
+  }
+
+  /**
+   * @param {EncodedVideoChunk} chunk
+   */
+  addChunk(chunk) {
+    const time = Math.round(chunk.timestamp / 1000);
+    const isKey = chunk.type === 'key';
+    if (!this.blocks.length || isKey || time - this.clusterTime >= MAX_CLUSTER_MS) {
+      this.flushCluster();
+      this.clusterTime = time;
+    }
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const header = new Uint8Array(4);
+    const relative = time - this.clusterTime;
+    header[0] = 0x81; // track 1
+    header[1] = (relative >> 8) & 0xff;
+    header[2] = relative & 0xff;
+    header[3] = isKey ? 0x80 : 0x00;
+    this.blocks.push(element(0xa3, [header, data]));
+
+    this.duration = Math.max(this.duration, time + Math.round((chunk.duration || 0) / 1000));
+  }
+
+  flushCluster() {
+    if (!this.blocks.length) return;
+    this.clusters.push(element(0x1f43b675, [element(0xe7, uint(this.clusterTime)), ...this.blocks]));
+    this.blocks = [];
+  }
+
+  /**
+   * @returns {Blob}
+   */
+  finish() {
+    this.flushCluster();
+    const text = (/** @type {string} */ s) => new TextEncoder().encode(s);
+
+    const header = element(0x1a45dfa3, [
+      element(0x4286, uint(1)), // EBMLVersion
+      element(0x42f7, uint(1)), // EBMLReadVersion
+      element(0x42f2, uint(4)), // EBMLMaxIDLength
+      element(0x42f3, uint(8)), // EBMLMaxSizeLength
+      element(0x4282, text('webm')), // DocType
+      element(0x4287, uint(2)), // DocTypeVersion
+      element(0x4285, uint(2)) // DocTypeReadVersion
+    ]);
+
+    const info = element(0x1549a966, [
+      element(0x2ad7b1, uint(1000000)), // TimecodeScale: milliseconds
+      element(0x4d80, text('echo-flume')), // MuxingApp
+      element(0x5741, text('echo-flume')), // WritingApp
+      element(0x4489, float64(this.duration)) // Duration
+    ]);
+
+    const tracks = element(0x1654ae6b, [
+      element(0xae, [ // TrackEntry
+        element(0xd7, uint(1)), // TrackNumber
+        element(0x73c5, uint(1)), // TrackUID
+        element(0x83, uint(1)), // TrackType: video
+        element(0x86, text(this.track.codec)), // CodecID
+        element(0xe0, [ // Video
+          element(0xb0, uint(this.track.width)),
+          element(0xba, uint(this.track.height))
+        ])
+      ])
+    ]);
+
+    const segmentSize = info.length + tracks.length + this.clusters.reduce((sum, cluster) => sum + cluster.length, 0);
+    return new Blob(
+      [header, uint(0x18538067), vintSize(segmentSize), info, tracks, ...this.clusters],
+      { type: 'video/webm' }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Minimal ZIP writer. Entries are stored without compression, which is
+ * all PNG frames need since they are already compressed. Data is kept as
+ * separate parts and only joined into a Blob at the end.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Date} date
+ * @returns {{ time: number, date: number }} MS-DOS time and date fields
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+export class ZipWriter {
+  constructor() {
+    /** @type {BlobPart[]} */
+    this.parts = [];
+    /** @type {Uint8Array[]} */
+    this.centralDirectory = [];
+    this.offset = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Uint8Array} data
+   */
+  add(name, data) {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(new Date());
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+
+    const central = new DataView(new ArrayBuffer(46 + nameBytes.length));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(10, 0, true); // stored
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, this.offset, true);
+    new Uint8Array(central.buffer).set(nameBytes, 46);
+
+    this.parts.push(local.buffer, nameBytes, data);
+    this.centralDirectory.push(new Uint8Array(central.buffer));
+    this.offset += 30 + nameBytes.length + data.length;
+    this.count++;
+  }
+
+  /**
+   * @returns {Blob}
+   */
+  finish() {
+    const size = this.centralDirectory.reduce((sum, entry) => sum + entry.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.count, true);
+    end.setUint16(10, this.count, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, this.offset, true);
+
+    return new Blob([...this.parts, ...this.centralDirectory, end.buffer], { type: 'application/zip' });
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Colour helpers shared by the visualizer modules, and the colour schemes
+ * that decide what colour emitters paint with. Channels are 0-1.
+ */
+
+/**
+ * @typedef {import('../services/audioManager.js').AudioMetrics} AudioMetrics
+ */
+
+/**
+ * @typedef {Object} RGB
+ * @property {number} r
+ * @property {number} g
+ * @property {number} b
+ */
+
+/**
+ * @param {number} h - Hue in 0-1
+ * @param {number} s - Saturation in 0-1
+ * @param {number} l - Lightness in 0-1
+ * @returns {RGB}
+ */
+export function hslToRgb(h, s, l) {
+  let r, g, b;
+  if (s === 0) {
+    r = g = b = l; // achromatic
+  } else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    r = hue2rgb(p, q, h + 1 / 3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1 / 3);
+  }
+  return { r, g, b };
+}
+
+/**
+ * How emitter and pointer colours are chosen:
+ * - `chroma`: hue from the current note
+ * - `palette`: a gradient indexed by the current note or by energy
+ * - `bands`: bass, mid and treble drive red, green and blue
+ * - `cycle`: hue rotating over time
+ * - `monochrome`: one fixed hue and saturation
+ * @typedef {'chroma' | 'palette' | 'bands' | 'cycle' | 'monochrome'} ColorMode
+ */
+
+/**
+ * @typedef {Object} GradientStop
+ * @property {number} position - 0-1
+ * @property {string} color - CSS hex colour, e.g. `#ff8800`
+ */
+
+/**
+ * @typedef {Object} ColorScheme
+ * @property {ColorMode} mode
+ * @property {GradientStop[]} palette
+ * @property {'pitch' | 'energy'} paletteIndex - What picks the position on the palette
+ * @property {number} hue - Monochrome hue in 0-1
+ * @property {number} saturation - Monochrome saturation in 0-1
+ */
+
+/**
+ * Everything a colour mode may read in a frame
+ * @typedef {Object} ColorContext
+ * @property {ColorScheme} scheme
+ * @property {number} noteHue - Current note as a hue in 0-1
+ * @property {number} cycleHue - Time-cycling hue in 0-1
+ * @property {AudioMetrics} metrics
+ * @property {number} gain
+ */
+
+export const COLOR_MODES = /** @type {ColorMode[]} */ (['chroma', 'palette', 'bands', 'cycle', 'monochrome']);
+
+/** @type {Record<string, GradientStop[]>} */
+export const PALETTES = {
+  sunset: [
+    { position: 0, color: '#2b1055' },
+    { position: 0.4, color: '#d53369' },
+    { position: 0.7, color: '#ff8a00' },
+    { position: 1, color: '#ffe29f' }
+  ],
+  ocean: [
+    { position: 0, color: '#001f3f' },
+    { position: 0.5, color: '#0077b6' },
+    { position: 1, color: '#90e0ef' }
+  ],
+  ember: [
+    { position: 0, color: '#300000' },
+    { position: 0.5, color: '#ff3300' },
+    { position: 1, color: '#ffdd55' }
+  ],
+  aurora: [
+    { position: 0, color: '#00ff87' },
+    { position: 0.5, color: '#60efff' },
+    { position: 1, color: '#b967ff' }
+  ]
+};
+
+/** @type {Readonly<ColorScheme>} */
+export const DEFAULT_COLOR_SCHEME = Object.freeze({
+  mode: 'chroma',
+  palette: PALETTES.sunset,
+  paletteIndex: 'pitch',
+  hue: 0.55,
+  saturation: 0.6
+});
+
+/**
+ * @param {Partial<ColorScheme>} [overrides]
+ * @returns {ColorScheme}
+ */
+export function createColorScheme(overrides = {}) {
+  return {
+    ...DEFAULT_COLOR_SCHEME,
+    ...overrides,
+    palette: (overrides.palette || DEFAULT_COLOR_SCHEME.palette).map(stop => ({ ...stop }))
+  };
+}
+
+/**
+ * Rebuild a scheme from untrusted data, keeping only valid fields
+ * @param {any} data
+ * @returns {ColorScheme}
+ */
+export function parseColorScheme(data) {
+  if (!data || typeof data !== 'object') return createColorScheme();
+  const palette = Array.isArray(data.palette)
+    ? data.palette
+      .filter(stop => stop && Number.isFinite(stop.position) && /^#[0-9a-f]{6}$/i.test(stop.color))
+      .map(stop => ({ position: Math.min(1, Math.max(0, stop.position)), color: stop.color }))
+    : [];
+  return createColorScheme({
+    ...(COLOR_MODES.includes(data.mode) ? { mode: data.mode } : {}),
+    ...(palette.length ? { palette } : {}),
+    ...(data.paletteIndex === 'pitch' || data.paletteIndex === 'energy' ? { paletteIndex: data.paletteIndex } : {}),
+    ...(Number.isFinite(data.hue) ? { hue: data.hue } : {}),
+    ...(Number.isFinite(data.saturation) ? { saturation: data.saturation } : {})
+  });
+}
+
+/**
+ * @param {string} hex - `#rrggbb`
+ * @returns {RGB}
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return {
+    r: ((value >> 16) & 255) / 255,
+    g: ((value >> 8) & 255) / 255,
+    b: (value & 255) / 255
+  };
+}
+
+/**
+ * @param {RGB} color
+ * @returns {string} `#rrggbb`
+ */
+export function rgbToHex({ r, g, b }) {
+  const channel = (/** @type {number} */ value) => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0');
+  return `#${channel(r)}${channel(g)}${channel(b)}`;
+}
+
+/**
+ * Colour at position t along a gradient; stops need not be sorted
+ * @param {GradientStop[]} stops
+ * @param {number} t - 0-1
+ * @returns {RGB}
+ */
+export function samplePalette(stops, t) {
+  if (!stops.length) return { r: 1, g: 1, b: 1 };
+  const sorted = [...stops].sort((a, b) => a.position - b.position);
+  if (t <= sorted[0].position) return hexToRgb(sorted[0].color);
+
+  for (let i = 1; i < sorted.length; i++) {
+    const next = sorted[i];
+    if (t <= next.position) {
+      const previous = sorted[i - 1];
+      const f = (t - previous.position) / ((next.position - previous.position) || 1);
+      const a = hexToRgb(previous.color);
+      const b = hexToRgb(next.color);
+      return { r: a.r + (b.r - a.r) * f, g: a.g + (b.g - a.g) * f, b: a.b + (b.b - a.b) * f };
+    }
+  }
+  return hexToRgb(sorted[sorted.length - 1].color);
+}
+
+/**
+ * CSS gradient for previewing a palette
+ * @param {GradientStop[]} stops
+ * @returns {string}
+ */
+export function paletteToCss(stops) {
+  const sorted = [...stops].sort((a, b) => a.position - b.position);
+  return `linear-gradient(to right, ${sorted.map(stop => `${stop.color} ${stop.position * 100}%`).join(', ')})`;
+}
+
+/**
+ * Colour for one emitter or pointer splat under the current scheme
+ * @param {ColorContext} context
+ * @param {number} offset - Per-emitter shift around the hue circle or along the palette
+ * @param {number} level - Emitter level after gain, used by energy-indexed palettes
+ * @returns {RGB}
+ */
+export function resolveColor(context, offset, level) {
+  const { scheme, metrics, gain } = context;
+  const wrap = (/** @type {number} */ x) => ((x % 1) + 1) % 1;
+
+  switch (scheme.mode) {
+    case 'palette': {
+      const t = scheme.paletteIndex === 'energy'
+        ? Math.min(1, level) + offset
+        : context.noteHue + offset;
+      return samplePalette(scheme.palette, scheme.paletteIndex === 'energy' ? Math.min(1, t) : wrap(t));
+    }
+    case 'bands': {
+      // Normalise so the strongest band is at full intensity; the level sets brightness elsewhere
+      const r = metrics.bass * gain;
+      const g = metrics.mid * gain;
+      const b = metrics.treble * gain;
+      const max = Math.max(r, g, b);
+      return max > 0 ? { r: r / max, g: g / max, b: b / max } : { r: 0, g: 0, b: 0 };
+    }
+    case 'cycle':
+      return hslToRgb(wrap(context.cycleHue + offset), 1.0, 0.5);
+    case 'monochrome':
+      return hslToRgb(wrap(scheme.hue), scheme.saturation, 0.5);
+    case 'chroma':
+    default:
+      return hslToRgb(wrap(context.noteHue + offset), 1.0, 0.5);
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Emitters are the moving sources that inject dye and force into the fluid.
+ * Each one follows its own path, reads its own audio metric and has its
+ * own colour and splat settings. Configs are plain JSON so they can be
+ * edited at runtime and stored alongside presets.
+ */
+
+import { hslToRgb, resolveColor } from './color.js';
+import { createPathConfig, samplePath, pathTangent, pathSpeedFactor } from './motionPaths.js';
+
+/**
+ * @typedef {import('../services/audioManager.js').AudioMetrics} AudioMetrics
+ * @typedef {import('./color.js').RGB} RGB
+ * @typedef {import('./color.js').ColorContext} ColorContext
+ * @typedef {import('./motionPaths.js').MotionPathConfig} MotionPathConfig
+ */
+
+/**
+ * Which metric drives an emitter: a named metric, or `band:<index>` for an
+ * entry of `AudioMetrics.bands`.
+ * @typedef {'volume' | 'bass' | 'mid' | 'treble' | 'onset' | string} EmitterBinding
+ */
+
+/**
+ * @typedef {Object} EmitterColor
+ * @property {'pitch' | 'fixed'} mode - Follow the active colour scheme, or keep a fixed hue
+ * @property {number} hue - Fixed hue in 0-1, used in 'fixed' mode
+ * @property {number} hueOffset - Shift around the hue circle (or along the palette) in 'pitch' mode
+ */
+
+/**
+ * @typedef {Object} EmitterConfig
+ * @property {string} id
+ * @property {EmitterBinding} binding
+ * @property {EmitterColor} color
+ * @property {number} radiusScale - Multiplier on config.SPLAT_RADIUS
+ * @property {number} force - Velocity injected at a level of 1
+ * @property {number} threshold - Minimum level (after gain) that emits
+ * @property {MotionPathConfig} path
+ */
+
+/**
+ * Runtime state of one emitter
+ * @typedef {Object} EmitterState
+ * @property {EmitterConfig} config
+ * @property {number} time - Path parameter, advanced by `path.speed` and its audio modulation
+ * @property {number} x
+ * @property {number} y
+ * @property {RGB} color - Smoothed colour
+ */
+
+/**
+ * @typedef {Object} SplatRequest
+ * @property {number} x
+ * @property {number} y
+ * @property {number} dx
+ * @property {number} dy
+ * @property {RGB} color
+ * @property {number} radiusScale
+ */
+
+/**
+ * @param {Partial<EmitterConfig>} overrides
+ * @returns {EmitterConfig}
+ */
+export function createEmitterConfig(overrides = {}) {
+  return {
+    id: 'emitter',
+    binding: 'volume',
+    radiusScale: 1,
+    force: 100,
+    threshold: 0.01,
+    ...overrides,
+    color: { mode: 'pitch', hue: 0, hueOffset: 0, ...overrides.color },
+    path: createPathConfig(overrides.path?.type || 'lissajous', overrides.path)
+  };
+}
+
+/**
+ * Ready-made emitter arrangements
+ * @type {Record<string, EmitterConfig[]>}
+ */
+export const EMITTER_LAYOUTS = {
+  // The original single Lissajous emitter driven by overall volume
+  single: [
+    createEmitterConfig({ id: 'main' })
+  ],
+  // Slow, wide bass emitter low in the centre with treble emitters orbiting above
+  trio: [
+    createEmitterConfig({
+      id: 'bass',
+      binding: 'bass',
+      radiusScale: 2.4,
+      force: 140,
+      path: {
+        centerX: 0.5, centerY: 0.3, radiusX: 0.15, radiusY: 0.05, frequencyX: 1, frequencyY: 2, speed: 0.3,
+        speedModulation: { binding: 'bass', amount: 2 }
+      }
+    }),
+    createEmitterConfig({
+      id: 'treble-a',
+      binding: 'treble',
+      radiusScale: 0.5,
+      color: { hueOffset: 0.33 },
+      path: {
+        centerX: 0.5, centerY: 0.6, radiusX: 0.3, radiusY: 0.25, frequencyX: 1, frequencyY: 1, speed: 0.9,
+        speedModulation: { binding: 'tempo', amount: 1 }
+      }
+    }),
+    createEmitterConfig({
+      id: 'treble-b',
+      binding: 'treble',
+      radiusScale: 0.5,
+      color: { hueOffset: 0.66 },
+      path: {
+        centerX: 0.5, centerY: 0.6, radiusX: 0.3, radiusY: 0.25, frequencyX: 1, frequencyY: 1, phase: Math.PI, speed: 0.9,
+        speedModulation: { binding: 'tempo', amount: 1 }
+      }
+    })
+  ],
+  // One emitter per band around a ring
+  bands: ['bass', 'mid', 'treble', 'volume'].map((binding, i) => createEmitterConfig({
+    id: binding,
+    binding,
+    radiusScale: 0.8,
+    color: { hueOffset: i / 4 },
+    path: {
+      radiusX: 0.35, radiusY: 0.35, frequencyX: 1, frequencyY: 1, phase: (i / 4) * Math.PI * 2, speed: 0.4,
+      speedModulation: { binding: 'volume', amount: 1.5 }
+    }
+  }))
+};
+
+/**
+ * @param {AudioMetrics} metrics
+ * @param {EmitterBinding} binding
+ * @returns {number}
+ */
+export function readBinding(metrics, binding) {
+  if (binding.startsWith('band:')) {
+    return metrics.bands?.[Number(binding.slice(5))] || 0;
+  }
+  return metrics[binding] || 0;
+}
+
+/**
+ * @param {EmitterConfig} config
+ * @param {EmitterState} [previous] - State to carry over when a config is edited
+ * @returns {EmitterState}
+ */
+export function createEmitterState(config, previous) {
+  const time = previous?.time ?? 0;
+  const { x, y } = samplePath(config.path, time);
+  return {
+    config,
+    time,
+    x,
+    y,
+    color: previous ? { ...previous.color } : { r: 0, g: 0, b: 0 }
+  };
+}
+
+/**
+ * Rebuild runtime states for a new config list, keeping the path time and
+ * colour of emitters whose id is unchanged.
+ * @param {EmitterConfig[]} configs
+ * @param {EmitterState[]} previous
+ * @returns {EmitterState[]}
+ */
+export function syncEmitterStates(configs, previous) {
+  const byId = new Map(previous.map(state => [state.config.id, state]));
+  return configs.map(config => createEmitterState(config, byId.get(config.id)));
+}
+
+/**
+ * Advance an emitter and work out the splat it should make this frame.
+ * @param {EmitterState} state
+ * @param {number} dt - Seconds
+ * @param {AudioMetrics} metrics
+ * @param {number} gain
+ * @param {ColorContext} colorContext
+ * @returns {SplatRequest | null}
+ */
+export function stepEmitter(state, dt, metrics, gain, colorContext) {
+  const { config } = state;
+  const { path } = config;
+  state.time += dt * path.speed * pathSpeedFactor(path, metrics, gain);
+  const { x, y } = samplePath(path, state.time);
+  state.x = x;
+  state.y = y;
+
+  const level = readBinding(metrics, config.binding) * gain;
+  if (level <= config.threshold) return null;
+
+  const target = config.color.mode === 'fixed'
+    ? hslToRgb(((config.color.hue % 1) + 1) % 1, 1.0, 0.5)
+    : resolveColor(colorContext, config.color.hueOffset, level);
+
+  // Smooth color transition
+  const lerpSpeed = 0.1;
+  state.color.r += (target.r - state.color.r) * lerpSpeed;
+  state.color.g += (target.g - state.color.g) * lerpSpeed;
+  state.color.b += (target.b - state.color.b) * lerpSpeed;
+
+  // Enhance brightness based on level
+  const brightness = 1 + level;
+
+  // Direction based on movement (path derivative)
+  const tangent = pathTangent(path, state.time);
+
+  return {
+    x: state.x,
+    y: state.y,
+    dx: tangent.x * config.force * level,
+    dy: tangent.y * config.force * level,
+    color: {
+      r: state.color.r * brightness,
+      g: state.color.g * brightness,
+      b: state.color.b * brightness
+    },
+    radiusScale: config.radiusScale
+  };
+}
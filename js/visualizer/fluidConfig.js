@@ -0,0 +1,258 @@
+/**
+ * Simulation and post-processing settings for FluidVisualizer. The object
+ * is plain JSON so it can be edited live and stored in presets.
+ */
+
+/**
+ * @typedef {import('./color.js').RGB} RGB
+ */
+
+/**
+ * What fills the canvas behind the fluid when it is not transparent
+ * @typedef {'solid' | 'gradient' | 'image'} BackgroundMode
+ */
+
+/**
+ * Solid shape the fluid flows around
+ * @typedef {'none' | 'circle' | 'rect' | 'image' | 'text'} ObstacleShape
+ */
+
+/**
+ * @typedef {Object} FluidConfig
+ * @property {number} SIM_RESOLUTION
+ * @property {number} DYE_RESOLUTION
+ * @property {number} CAPTURE_RESOLUTION
+ * @property {boolean} ADAPTIVE_QUALITY - Lower the quality automatically when the frame rate drops
+ * @property {number} DENSITY_DISSIPATION
+ * @property {number} VELOCITY_DISSIPATION
+ * @property {number} PRESSURE
+ * @property {number} PRESSURE_ITERATIONS
+ * @property {number} CURL
+ * @property {number} SPLAT_RADIUS
+ * @property {number} SPLAT_FORCE
+ * @property {boolean} SHADING
+ * @property {boolean} COLORFUL
+ * @property {number} COLOR_UPDATE_SPEED
+ * @property {boolean} PAUSED - Freeze the simulation; the canvas keeps drawing and audio analysis keeps running
+ * @property {number} TIME_SCALE - Simulation speed; 1 is real time
+ * @property {RGB} BACK_COLOR - Solid background, and the start of the gradient
+ * @property {BackgroundMode} BACK_MODE
+ * @property {RGB} BACK_GRADIENT_COLOR - End of the gradient
+ * @property {number} BACK_GRADIENT_ANGLE - Degrees, as in CSS: 0 runs bottom to top, 90 left to right
+ * @property {string} BACK_IMAGE - URL of the background image; it is scaled to cover the canvas
+ * @property {boolean} TRANSPARENT - Draw no background, leaving the canvas alpha for compositing
+ * @property {ObstacleShape} OBSTACLE_SHAPE
+ * @property {number} OBSTACLE_X - Centre, 0-1 across the canvas
+ * @property {number} OBSTACLE_Y - Centre, 0-1 up the canvas
+ * @property {number} OBSTACLE_SIZE - Height as a fraction of the canvas height
+ * @property {number} OBSTACLE_ASPECT - Width over height of circles and rectangles
+ * @property {string} OBSTACLE_IMAGE - URL of the image mask; transparent or light areas stay open
+ * @property {string} OBSTACLE_TEXT
+ * @property {boolean} OBSTACLE_SILHOUETTE - Draw the obstacle over the fluid instead of leaving a hole
+ * @property {RGB} OBSTACLE_COLOR - Silhouette colour
+ * @property {boolean} BLOOM
+ * @property {number} BLOOM_ITERATIONS
+ * @property {number} BLOOM_RESOLUTION
+ * @property {number} BLOOM_INTENSITY
+ * @property {number} BLOOM_THRESHOLD
+ * @property {number} BLOOM_SOFT_KNEE
+ * @property {boolean} SUNRAYS
+ * @property {number} SUNRAYS_RESOLUTION
+ * @property {number} SUNRAYS_WEIGHT
+ */
+
+/** @type {Readonly<FluidConfig>} */
+export const DEFAULT_FLUID_CONFIG = Object.freeze({
+  SIM_RESOLUTION: 128,
+  DYE_RESOLUTION: 1024,
+  CAPTURE_RESOLUTION: 512,
+  ADAPTIVE_QUALITY: true,
+  DENSITY_DISSIPATION: 1,
+  VELOCITY_DISSIPATION: 0.2,
+  PRESSURE: 0.8,
+  PRESSURE_ITERATIONS: 20,
+  CURL: 30,
+  SPLAT_RADIUS: 0.25,
+  SPLAT_FORCE: 6000,
+  SHADING: true,
+  COLORFUL: true,
+  COLOR_UPDATE_SPEED: 10,
+  PAUSED: false,
+  TIME_SCALE: 1,
+  BACK_COLOR: Object.freeze({ r: 0, g: 0, b: 0 }),
+  BACK_MODE: 'solid',
+  BACK_GRADIENT_COLOR: Object.freeze({ r: 0.05, g: 0.02, b: 0.12 }),
+  BACK_GRADIENT_ANGLE: 180,
+  BACK_IMAGE: '',
+  TRANSPARENT: false,
+  OBSTACLE_SHAPE: 'none',
+  OBSTACLE_X: 0.5,
+  OBSTACLE_Y: 0.5,
+  OBSTACLE_SIZE: 0.3,
+  OBSTACLE_ASPECT: 1,
+  OBSTACLE_IMAGE: '',
+  OBSTACLE_TEXT: 'ECHO',
+  OBSTACLE_SILHOUETTE: false,
+  OBSTACLE_COLOR: Object.freeze({ r: 1, g: 1, b: 1 }),
+  BLOOM: true,
+  BLOOM_ITERATIONS: 8,
+  BLOOM_RESOLUTION: 256,
+  BLOOM_INTENSITY: 0.8,
+  BLOOM_THRESHOLD: 0.6,
+  BLOOM_SOFT_KNEE: 0.7,
+  SUNRAYS: true,
+  SUNRAYS_RESOLUTION: 196,
+  SUNRAYS_WEIGHT: 1.0,
+});
+
+// Changing any of these means the framebuffers have to be rebuilt
+export const FRAMEBUFFER_KEYS = /** @type {const} */ ([
+  'SIM_RESOLUTION', 'DYE_RESOLUTION', 'BLOOM_RESOLUTION', 'BLOOM_ITERATIONS', 'SUNRAYS_RESOLUTION'
+]);
+
+/** @type {BackgroundMode[]} */
+export const BACKGROUND_MODES = ['solid', 'gradient', 'image'];
+
+/** @type {ObstacleShape[]} */
+export const OBSTACLE_SHAPES = ['none', 'circle', 'rect', 'image', 'text'];
+
+// Changing any of these means the obstacle mask has to be redrawn
+export const OBSTACLE_KEYS = /** @type {const} */ ([
+  'OBSTACLE_SHAPE', 'OBSTACLE_X', 'OBSTACLE_Y', 'OBSTACLE_SIZE', 'OBSTACLE_ASPECT', 'OBSTACLE_TEXT'
+]);
+
+// Performance, compositing, obstacle and output settings that belong to the session
+// rather than the look; applying a preset keeps their current values
+export const SESSION_KEYS = /** @type {const} */ ([
+  'PAUSED', 'TIME_SCALE',
+  'TRANSPARENT', 'BACK_MODE', 'BACK_COLOR', 'BACK_GRADIENT_COLOR', 'BACK_GRADIENT_ANGLE', 'BACK_IMAGE',
+  ...OBSTACLE_KEYS, 'OBSTACLE_IMAGE', 'OBSTACLE_SILHOUETTE', 'OBSTACLE_COLOR',
+  'ADAPTIVE_QUALITY', 'CAPTURE_RESOLUTION'
+]);
+
+// Keys holding an RGB object rather than a primitive
+const COLOR_KEYS = ['BACK_COLOR', 'BACK_GRADIENT_COLOR', 'OBSTACLE_COLOR'];
+
+// Changing any of these means the display shader needs different keywords
+export const KEYWORD_KEYS = /** @type {const} */ (['SHADING', 'BLOOM', 'SUNRAYS']);
+
+/**
+ * How a config field is presented in the settings panel
+ * @typedef {Object} ConfigField
+ * @property {keyof FluidConfig} key
+ * @property {string} label
+ * @property {'range' | 'toggle' | 'select' | 'color' | 'image' | 'text'} control
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [step]
+ * @property {(number | string)[]} [options]
+ */
+
+/**
+ * Settings panel layout, grouped by section
+ * @type {{ title: string, fields: ConfigField[] }[]}
+ */
+export const CONFIG_SECTIONS = [
+  {
+    title: 'Quality',
+    fields: [
+      { key: 'SIM_RESOLUTION', label: 'Sim resolution', control: 'select', options: [32, 64, 128, 256] },
+      { key: 'DYE_RESOLUTION', label: 'Dye resolution', control: 'select', options: [128, 256, 512, 1024, 2048] },
+      { key: 'PRESSURE_ITERATIONS', label: 'Pressure iterations', control: 'range', min: 1, max: 60, step: 1 },
+      { key: 'ADAPTIVE_QUALITY', label: 'Adaptive', control: 'toggle' }
+    ]
+  },
+  {
+    title: 'Fluid',
+    fields: [
+      { key: 'DENSITY_DISSIPATION', label: 'Density dissipation', control: 'range', min: 0, max: 4, step: 0.05 },
+      { key: 'VELOCITY_DISSIPATION', label: 'Velocity dissipation', control: 'range', min: 0, max: 4, step: 0.05 },
+      { key: 'PRESSURE', label: 'Pressure', control: 'range', min: 0, max: 1, step: 0.01 },
+      { key: 'CURL', label: 'Vorticity', control: 'range', min: 0, max: 80, step: 1 },
+      { key: 'SPLAT_RADIUS', label: 'Splat radius', control: 'range', min: 0.01, max: 1, step: 0.01 },
+      { key: 'SPLAT_FORCE', label: 'Splat force', control: 'range', min: 1000, max: 12000, step: 100 },
+      { key: 'TIME_SCALE', label: 'Time scale', control: 'range', min: 0.1, max: 4, step: 0.05 },
+      { key: 'SHADING', label: 'Shading', control: 'toggle' }
+    ]
+  },
+  {
+    title: 'Colour',
+    fields: [
+      { key: 'COLOR_UPDATE_SPEED', label: 'Hue cycle speed', control: 'range', min: 0, max: 50, step: 1 }
+    ]
+  },
+  {
+    title: 'Bloom',
+    fields: [
+      { key: 'BLOOM', label: 'Enabled', control: 'toggle' },
+      { key: 'BLOOM_RESOLUTION', label: 'Resolution', control: 'select', options: [64, 128, 256, 512] },
+      { key: 'BLOOM_ITERATIONS', label: 'Iterations', control: 'range', min: 1, max: 8, step: 1 },
+      { key: 'BLOOM_INTENSITY', label: 'Intensity', control: 'range', min: 0.1, max: 2, step: 0.05 },
+      { key: 'BLOOM_THRESHOLD', label: 'Threshold', control: 'range', min: 0, max: 1, step: 0.05 },
+      { key: 'BLOOM_SOFT_KNEE', label: 'Soft knee', control: 'range', min: 0, max: 1, step: 0.05 }
+    ]
+  },
+  {
+    title: 'Sunrays',
+    fields: [
+      { key: 'SUNRAYS', label: 'Enabled', control: 'toggle' },
+      { key: 'SUNRAYS_RESOLUTION', label: 'Resolution', control: 'select', options: [96, 196, 256] },
+      { key: 'SUNRAYS_WEIGHT', label: 'Weight', control: 'range', min: 0.3, max: 1, step: 0.05 }
+    ]
+  },
+  {
+    title: 'Background',
+    fields: [
+      { key: 'TRANSPARENT', label: 'Transparent', control: 'toggle' },
+      { key: 'BACK_MODE', label: 'Fill', control: 'select', options: BACKGROUND_MODES },
+      { key: 'BACK_COLOR', label: 'Colour', control: 'color' },
+      { key: 'BACK_GRADIENT_COLOR', label: 'Gradient end', control: 'color' },
+      { key: 'BACK_GRADIENT_ANGLE', label: 'Gradient angle', control: 'range', min: 0, max: 360, step: 15 },
+      { key: 'BACK_IMAGE', label: 'Image', control: 'image' }
+    ]
+  },
+  {
+    title: 'Obstacle',
+    fields: [
+      { key: 'OBSTACLE_SHAPE', label: 'Shape', control: 'select', options: OBSTACLE_SHAPES },
+      { key: 'OBSTACLE_X', label: 'X', control: 'range', min: 0, max: 1, step: 0.01 },
+      { key: 'OBSTACLE_Y', label: 'Y', control: 'range', min: 0, max: 1, step: 0.01 },
+      { key: 'OBSTACLE_SIZE', label: 'Size', control: 'range', min: 0.05, max: 1, step: 0.01 },
+      { key: 'OBSTACLE_ASPECT', label: 'Aspect', control: 'range', min: 0.2, max: 5, step: 0.1 },
+      { key: 'OBSTACLE_IMAGE', label: 'Image', control: 'image' },
+      { key: 'OBSTACLE_TEXT', label: 'Text', control: 'text' },
+      { key: 'OBSTACLE_SILHOUETTE', label: 'Silhouette', control: 'toggle' },
+      { key: 'OBSTACLE_COLOR', label: 'Colour', control: 'color' }
+    ]
+  },
+  {
+    title: 'Snapshot',
+    fields: [
+      { key: 'CAPTURE_RESOLUTION', label: 'Resolution', control: 'select', options: [512, 1080, 1440, 2160, 4320] }
+    ]
+  }
+];
+
+/**
+ * Full config from the defaults plus any overrides. Unknown keys and
+ * values of the wrong type are dropped, so imported JSON can't inject
+ * anything the renderer doesn't understand.
+ * @param {Partial<FluidConfig>} [overrides]
+ * @returns {FluidConfig}
+ */
+export function createFluidConfig(overrides = {}) {
+  /** @type {any} */
+  const config = { ...DEFAULT_FLUID_CONFIG };
+  for (const key of COLOR_KEYS) config[key] = { ...DEFAULT_FLUID_CONFIG[key] };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!(key in DEFAULT_FLUID_CONFIG)) continue;
+    if (COLOR_KEYS.includes(key)) {
+      if (value && typeof value === 'object') config[key] = { ...config[key], ...value };
+    } else if (typeof value === typeof DEFAULT_FLUID_CONFIG[key]) {
+      config[key] = value;
+    }
+  }
+  if (!BACKGROUND_MODES.includes(config.BACK_MODE)) config.BACK_MODE = DEFAULT_FLUID_CONFIG.BACK_MODE;
+  if (!OBSTACLE_SHAPES.includes(config.OBSTACLE_SHAPE)) config.OBSTACLE_SHAPE = DEFAULT_FLUID_CONFIG.OBSTACLE_SHAPE;
+  return config;
+}
@@ -0,0 +1,190 @@
+/**
+ * Modulation matrix: routes from audio metrics to simulation parameters.
+ * Each route shapes its source with a curve, smooths it with an
+ * attack/release envelope and offsets the target's base value by
+ * `depth` times the target's full range, clamped to the route's range.
+ * Routes are plain JSON so they can be edited live and stored in presets.
+ */
+
+/**
+ * @typedef {import('../services/audioManager.js').AudioMetrics} AudioMetrics
+ */
+
+/**
+ * @typedef {'bass' | 'mid' | 'treble' | 'volume' | 'onset' | 'pitch'} ModulationSource
+ * @typedef {'CURL' | 'SPLAT_RADIUS' | 'BLOOM_INTENSITY' | 'DENSITY_DISSIPATION' | 'VELOCITY_DISSIPATION' | 'EMITTER_SPEED'} ModulationTarget
+ * @typedef {'linear' | 'exponential' | 'logarithmic' | 'smooth'} ModulationCurve
+ */
+
+/**
+ * @typedef {Object} ModulationRoute
+ * @property {string} id
+ * @property {ModulationSource} source
+ * @property {ModulationTarget} target
+ * @property {number} depth - Fraction of the target's range added at full level, -1 to 1
+ * @property {ModulationCurve} curve
+ * @property {number} attack - Seconds to rise towards a higher level
+ * @property {number} release - Seconds to fall towards a lower level
+ * @property {number} min - Lowest value the route may push the target to
+ * @property {number} max - Highest value the route may push the target to
+ */
+
+/**
+ * @typedef {Object} ModulationTargetInfo
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ */
+
+export const MODULATION_SOURCES = /** @type {ModulationSource[]} */ (['bass', 'mid', 'treble', 'volume', 'onset', 'pitch']);
+
+export const MODULATION_CURVES = /** @type {ModulationCurve[]} */ (['linear', 'exponential', 'logarithmic', 'smooth']);
+
+/**
+ * Everything except EMITTER_SPEED is a FluidConfig key. EMITTER_SPEED is a
+ * multiplier on every emitter's path speed with a base value of 1.
+ * @type {Record<ModulationTarget, ModulationTargetInfo>}
+ */
+export const MODULATION_TARGETS = {
+  CURL: { label: 'Vorticity', min: 0, max: 80 },
+  SPLAT_RADIUS: { label: 'Splat radius', min: 0.01, max: 1 },
+  BLOOM_INTENSITY: { label: 'Bloom intensity', min: 0, max: 2 },
+  DENSITY_DISSIPATION: { label: 'Density dissipation', min: 0, max: 4 },
+  VELOCITY_DISSIPATION: { label: 'Velocity dissipation', min: 0, max: 4 },
+  EMITTER_SPEED: { label: 'Emitter speed', min: 0, max: 4 }
+};
+
+// Pitch is mapped to 0-1 on a log scale over this range, and only when the tracker is confident
+const PITCH_RANGE = { min: 50, max: 2000 };
+const PITCH_CONFIDENCE = 0.5;
+
+/**
+ * @param {Partial<ModulationRoute>} [overrides]
+ * @returns {ModulationRoute}
+ */
+export function createModulationRoute(overrides = {}) {
+  const target = overrides.target in MODULATION_TARGETS ? overrides.target : 'CURL';
+  const { min, max } = MODULATION_TARGETS[target];
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    source: 'bass',
+    depth: 0.5,
+    curve: 'linear',
+    attack: 0.05,
+    release: 0.3,
+    min,
+    max,
+    ...overrides,
+    target
+  };
+}
+
+/**
+ * Rebuild routes from untrusted data, dropping any with an unknown source, target or curve
+ * @param {any} data
+ * @returns {ModulationRoute[]}
+ */
+export function parseModulationRoutes(data) {
+  if (!Array.isArray(data)) return [];
+  return data
+    .filter(route => route
+      && MODULATION_SOURCES.includes(route.source)
+      && route.target in MODULATION_TARGETS
+      && (route.curve === undefined || MODULATION_CURVES.includes(route.curve)))
+    .map(route => {
+      const numbers = Object.fromEntries(
+        ['depth', 'attack', 'release', 'min', 'max']
+          .filter(key => Number.isFinite(route[key]))
+          .map(key => [key, route[key]])
+      );
+      return createModulationRoute({
+        source: route.source,
+        target: route.target,
+        curve: route.curve,
+        ...(typeof route.id === 'string' ? { id: route.id } : {}),
+        ...numbers
+      });
+    });
+}
+
+/**
+ * Source level in 0-1, or null when the source has nothing to say this
+ * frame (pitch while unvoiced) and the envelope should hold.
+ * @param {AudioMetrics} metrics
+ * @param {ModulationSource} source
+ * @param {number} gain
+ * @returns {number | null}
+ */
+export function readModulationSource(metrics, source, gain) {
+  if (source === 'pitch') {
+    if (metrics.pitch <= 0 || metrics.pitchConfidence < PITCH_CONFIDENCE) return null;
+    return clamp(Math.log2(metrics.pitch / PITCH_RANGE.min) / Math.log2(PITCH_RANGE.max / PITCH_RANGE.min), 0, 1);
+  }
+  if (source === 'onset') return clamp(metrics.onset || 0, 0, 1);
+  return clamp((metrics[source] || 0) * gain, 0, 1);
+}
+
+/**
+ * @param {number} x - 0-1
+ * @param {ModulationCurve} curve
+ * @returns {number}
+ */
+export function applyCurve(x, curve) {
+  switch (curve) {
+    case 'exponential':
+      return x * x;
+    case 'logarithmic':
+      return Math.log1p(9 * x) / Math.log(10);
+    case 'smooth':
+      return x * x * (3 - 2 * x);
+    case 'linear':
+    default:
+      return x;
+  }
+}
+
+/**
+ * Runs the matrix for one frame.
+ * @param {ModulationRoute[]} routes
+ * @param {Map<string, number>} envelopes - Per-route envelope levels, carried between frames
+ * @param {Record<ModulationTarget, number>} base - Unmodulated target values
+ * @param {AudioMetrics} metrics
+ * @param {number} gain
+ * @param {number} dt - Seconds since the last frame
+ * @returns {Record<ModulationTarget, number>} Modulated target values
+ */
+export function evaluateModulation(routes, envelopes, base, metrics, gain, dt) {
+  const values = { ...base };
+
+  for (const route of routes) {
+    const input = readModulationSource(metrics, route.source, gain);
+    let level = envelopes.get(route.id) || 0;
+    if (input !== null) {
+      const time = input > level ? route.attack : route.release;
+      level += (input - level) * (time > 0 ? 1 - Math.exp(-dt / time) : 1);
+    }
+    envelopes.set(route.id, level);
+
+    const { min, max } = MODULATION_TARGETS[route.target];
+    const offset = route.depth * applyCurve(level, route.curve) * (max - min);
+    values[route.target] = clamp(values[route.target] + offset, route.min, route.max);
+  }
+
+  // Forget envelopes of deleted routes
+  if (envelopes.size > routes.length) {
+    const ids = new Set(routes.map(route => route.id));
+    for (const id of envelopes.keys()) if (!ids.has(id)) envelopes.delete(id);
+  }
+
+  return values;
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
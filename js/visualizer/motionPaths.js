@@ -0,0 +1,244 @@
+/**
+ * Motion paths for emitters. Every path is a pure function of its
+ * parameter `t`, so positions are reproducible (offline rendering, seeking)
+ * and the direction of travel is simply the derivative of the path.
+ * Coordinates are 0-1 canvas space with y pointing up.
+ */
+
+/**
+ * @typedef {import('../services/audioManager.js').AudioMetrics} AudioMetrics
+ */
+
+/**
+ * @typedef {'lissajous' | 'circle' | 'spiral' | 'wander' | 'bounce' | 'spline'} MotionPathType
+ */
+
+/**
+ * @typedef {Object} Point
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * Audio control over how fast the path is travelled. `tempo` scales speed
+ * by bpm / 120; any other binding adds `amount * level` to a factor of 1.
+ * @typedef {Object} PathSpeedModulation
+ * @property {'none' | 'tempo' | 'volume' | 'bass' | 'mid' | 'treble' | 'onset'} binding
+ * @property {number} amount
+ */
+
+/**
+ * Common fields plus the type-specific ones listed in PATH_DEFAULTS.
+ * @typedef {Object} MotionPathConfig
+ * @property {MotionPathType} type
+ * @property {number} speed - Parameter units per second
+ * @property {number} phase - Offset added to the parameter
+ * @property {PathSpeedModulation} speedModulation
+ * @property {number} [centerX]
+ * @property {number} [centerY]
+ * @property {number} [radiusX]
+ * @property {number} [radiusY]
+ * @property {number} [frequencyX]
+ * @property {number} [frequencyY]
+ * @property {number} [radius]
+ * @property {number} [minRadius]
+ * @property {number} [maxRadius]
+ * @property {number} [turns]
+ * @property {number} [seed]
+ * @property {number} [originX]
+ * @property {number} [originY]
+ * @property {number} [velocityX]
+ * @property {number} [velocityY]
+ * @property {number} [margin]
+ * @property {Point[]} [points]
+ */
+
+export const PATH_TYPES = /** @type {MotionPathType[]} */ (['lissajous', 'circle', 'spiral', 'wander', 'bounce', 'spline']);
+
+/** @type {Record<MotionPathType, Partial<MotionPathConfig>>} */
+const PATH_DEFAULTS = {
+  lissajous: { centerX: 0.5, centerY: 0.5, radiusX: 0.3, radiusY: 0.3, frequencyX: 1, frequencyY: 1.3, speed: 0.5 },
+  circle: { centerX: 0.5, centerY: 0.5, radius: 0.3, speed: 0.5 },
+  // Angle advances with t while the radius breathes between min and max every `turns` revolutions
+  spiral: { centerX: 0.5, centerY: 0.5, minRadius: 0.05, maxRadius: 0.4, turns: 3, speed: 1 },
+  wander: { centerX: 0.5, centerY: 0.5, radiusX: 0.4, radiusY: 0.4, seed: 0, speed: 0.3 },
+  // Straight lines reflected off the edges, inset by `margin`
+  bounce: { originX: 0.3, originY: 0.6, velocityX: 0.37, velocityY: 0.23, margin: 0.05, speed: 1 },
+  // Closed Catmull-Rom loop; t advances one segment per unit
+  spline: { points: [{ x: 0.3, y: 0.3 }, { x: 0.7, y: 0.3 }, { x: 0.7, y: 0.7 }, { x: 0.3, y: 0.7 }], speed: 0.5 }
+};
+
+/**
+ * @param {MotionPathType} type
+ * @param {Partial<MotionPathConfig>} [overrides]
+ * @returns {MotionPathConfig}
+ */
+export function createPathConfig(type, overrides = {}) {
+  return {
+    phase: 0,
+    ...PATH_DEFAULTS[type],
+    ...overrides,
+    type,
+    speedModulation: { binding: 'none', amount: 0, ...overrides.speedModulation }
+  };
+}
+
+/**
+ * @param {MotionPathConfig} path
+ * @param {number} t
+ * @returns {Point}
+ */
+export function samplePath(path, t) {
+  const u = t + path.phase;
+  switch (path.type) {
+    case 'circle':
+      return {
+        x: path.centerX + Math.sin(u) * path.radius,
+        y: path.centerY + Math.cos(u) * path.radius
+      };
+    case 'spiral': {
+      const r = path.minRadius + (path.maxRadius - path.minRadius) * (0.5 - 0.5 * Math.cos(u / path.turns));
+      return {
+        x: path.centerX + Math.sin(u) * r,
+        y: path.centerY + Math.cos(u) * r
+      };
+    }
+    case 'wander':
+      return {
+        x: path.centerX + noise1D(u + path.seed * 17.31) * path.radiusX,
+        y: path.centerY + noise1D(u + path.seed * 17.31 + 101.7) * path.radiusY
+      };
+    case 'bounce': {
+      const span = 1 - 2 * path.margin;
+      return {
+        x: path.margin + span * reflect(path.originX + path.velocityX * u),
+        y: path.margin + span * reflect(path.originY + path.velocityY * u)
+      };
+    }
+    case 'spline':
+      return sampleSpline(path.points, u);
+    case 'lissajous':
+    default:
+      return {
+        x: path.centerX + Math.sin(u * path.frequencyX) * path.radiusX,
+        y: path.centerY + Math.cos(u * path.frequencyY) * path.radiusY
+      };
+  }
+}
+
+/**
+ * Unit direction of travel at t, from a central difference of the path
+ * @param {MotionPathConfig} path
+ * @param {number} t
+ * @returns {Point}
+ */
+export function pathTangent(path, t) {
+  const h = 1e-3;
+  const a = samplePath(path, t - h);
+  const b = samplePath(path, t + h);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return { x: 0, y: 0 };
+  return { x: dx / length, y: dy / length };
+}
+
+/**
+ * Multiplier on `path.speed` from the current audio
+ * @param {MotionPathConfig} path
+ * @param {AudioMetrics} metrics
+ * @param {number} gain
+ * @returns {number}
+ */
+export function pathSpeedFactor(path, metrics, gain) {
+  const { binding, amount } = path.speedModulation;
+  if (binding === 'none' || !amount) return 1;
+  if (binding === 'tempo') {
+    return metrics.bpm > 0 ? 1 + amount * (metrics.bpm / 120 - 1) : 1;
+  }
+  return 1 + amount * (metrics[binding] || 0) * gain;
+}
+
+/**
+ * Triangle wave over [0, 1]: position of a point bouncing between two walls
+ * @param {number} u
+ * @returns {number}
+ */
+function reflect(u) {
+  const m = ((u % 2) + 2) % 2;
+  return m > 1 ? 2 - m : m;
+}
+
+/**
+ * Deterministic 1D gradient (Perlin) noise in [-1, 1]
+ * @param {number} x
+ * @returns {number}
+ */
+function noise1D(x) {
+  const i = Math.floor(x);
+  const f = x - i;
+  const g0 = gradient(i) * f;
+  const g1 = gradient(i + 1) * (f - 1);
+  const fade = f * f * f * (f * (f * 6 - 15) + 10);
+  // Raw 1D Perlin peaks around ±0.5
+  return (g0 + (g1 - g0) * fade) * 2;
+}
+
+/**
+ * @param {number} i
+ * @returns {number} Pseudo-random slope in [-1, 1]
+ */
+function gradient(i) {
+  let h = Math.imul(i | 0, 374761393);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return ((h & 0xffff) / 0x8000) - 1;
+}
+
+/**
+ * Closed Catmull-Rom spline through `points`, one segment per unit of u
+ * @param {Point[]} points
+ * @param {number} u
+ * @returns {Point}
+ */
+function sampleSpline(points, u) {
+  const n = points.length;
+  if (n === 0) return { x: 0.5, y: 0.5 };
+  if (n === 1) return { ...points[0] };
+
+  const wrapped = ((u % n) + n) % n;
+  const i = Math.floor(wrapped);
+  const f = wrapped - i;
+  const p0 = points[(i - 1 + n) % n];
+  const p1 = points[i];
+  const p2 = points[(i + 1) % n];
+  const p3 = points[(i + 2) % n];
+
+  const catmullRom = (a, b, c, d) => 0.5 * (
+    2 * b +
+    (-a + c) * f +
+    (2 * a - 5 * b + 4 * c - d) * f * f +
+    (-a + 3 * b - 3 * c + d) * f * f * f
+  );
+
+  return {
+    x: catmullRom(p0.x, p1.x, p2.x, p3.x),
+    y: catmullRom(p0.y, p1.y, p2.y, p3.y)
+  };
+}
+
+/**
+ * Thin a freehand stroke down to evenly spaced control points
+ * @param {Point[]} stroke
+ * @param {number} [spacing] - Minimum distance between kept points
+ * @returns {Point[]}
+ */
+export function simplifyStroke(stroke, spacing = 0.04) {
+  /** @type {Point[]} */
+  const points = [];
+  for (const point of stroke) {
+    const last = points[points.length - 1];
+    if (!last || Math.hypot(point.x - last.x, point.y - last.y) >= spacing) points.push(point);
+  }
+  return points;
+}
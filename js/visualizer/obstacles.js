@@ -0,0 +1,117 @@
+/**
+ * Obstacle masks for the fluid simulation. The mask is drawn on a 2D canvas
+ * with the canvas's aspect ratio: alpha 1 is solid, 0 is open fluid. Shapes
+ * are placed in the same 0-1, y-up space as splats.
+ */
+
+/**
+ * @typedef {import('./fluidConfig.js').FluidConfig} FluidConfig
+ */
+
+// Share of an image's pixels that may be translucent for it to still count as opaque
+const OPAQUE_TOLERANCE = 0.02;
+
+// Text is shrunk to fit if it would run wider than this share of the canvas
+const MAX_TEXT_WIDTH = 0.95;
+
+/**
+ * Whether the config describes an obstacle that can be drawn
+ * @param {FluidConfig} config
+ * @param {CanvasImageSource | null} image - The loaded OBSTACLE_IMAGE
+ * @returns {boolean}
+ */
+export function hasObstacle(config, image) {
+  switch (config.OBSTACLE_SHAPE) {
+    case 'circle':
+    case 'rect':
+      return true;
+    case 'image':
+      return !!image;
+    case 'text':
+      return config.OBSTACLE_TEXT.trim().length > 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Draw the obstacle described by the config into a cleared context
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {FluidConfig} config
+ * @param {HTMLImageElement | null} image - The loaded OBSTACLE_IMAGE
+ */
+export function drawObstacleMask(ctx, config, image) {
+  const { width, height } = ctx.canvas;
+  const x = config.OBSTACLE_X * width;
+  const y = (1 - config.OBSTACLE_Y) * height;
+  const size = config.OBSTACLE_SIZE * height;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#fff';
+
+  switch (config.OBSTACLE_SHAPE) {
+    case 'circle':
+      ctx.beginPath();
+      ctx.ellipse(x, y, size * config.OBSTACLE_ASPECT / 2, size / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case 'rect': {
+      const w = size * config.OBSTACLE_ASPECT;
+      ctx.fillRect(x - w / 2, y - size / 2, w, size);
+      break;
+    }
+    case 'image': {
+      if (!image) break;
+      // The image keeps its own aspect ratio at the configured height
+      const w = size * image.naturalWidth / image.naturalHeight;
+      ctx.drawImage(image, x - w / 2, y - size / 2, w, size);
+      imageToMask(ctx);
+      break;
+    }
+    case 'text': {
+      let fontSize = size;
+      ctx.font = `bold ${fontSize}px sans-serif`;
+      const textWidth = ctx.measureText(config.OBSTACLE_TEXT).width;
+      if (textWidth > width * MAX_TEXT_WIDTH) {
+        fontSize *= width * MAX_TEXT_WIDTH / textWidth;
+        ctx.font = `bold ${fontSize}px sans-serif`;
+      }
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(config.OBSTACLE_TEXT, x, y);
+      break;
+    }
+  }
+}
+
+/**
+ * Turn a drawn image into a mask. Images with transparency are solid where
+ * they are opaque; fully opaque ones (a black logo on white) are solid where dark.
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function imageToMask(ctx) {
+  const { width, height } = ctx.canvas;
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+
+  // Only pixels the image covers count, and its antialiased edges are always partly transparent
+  let covered = 0;
+  let translucent = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 0) continue;
+    covered++;
+    if (data[i] < 255) translucent++;
+  }
+  const useLuminance = translucent <= covered * OPAQUE_TOLERANCE;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let alpha = data[i + 3];
+    if (useLuminance && alpha) {
+      const luminance = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      alpha = (255 - luminance) * alpha / 255;
+    }
+    data[i] = data[i + 1] = data[i + 2] = 255;
+    data[i + 3] = alpha;
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
@@ -0,0 +1,172 @@
+/**
+ * Named looks: a fluid config plus the emitters, colour scheme and
+ * modulation routes that go with it. Built-in presets ship with the app;
+ * user presets live in localStorage and travel as JSON files.
+ */
+
+import { SESSION_KEYS, createFluidConfig } from './fluidConfig.js';
+import { EMITTER_LAYOUTS, createEmitterConfig } from './emitters.js';
+import { createModulationRoute, parseModulationRoutes } from './modulation.js';
+import { PALETTES, createColorScheme, parseColorScheme } from './color.js';
+
+/**
+ * @typedef {import('./fluidConfig.js').FluidConfig} FluidConfig
+ * @typedef {import('./emitters.js').EmitterConfig} EmitterConfig
+ * @typedef {import('./modulation.js').ModulationRoute} ModulationRoute
+ * @typedef {import('./color.js').ColorScheme} ColorScheme
+ */
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name
+ * @property {FluidConfig} config
+ * @property {EmitterConfig[]} emitters
+ * @property {ModulationRoute[]} modulation
+ * @property {ColorScheme} colorScheme
+ * @property {boolean} [builtIn]
+ */
+
+const PRESET_STORAGE_KEY = 'echo-flume.presets';
+
+// Bumped when the exported JSON changes shape
+const PRESET_FORMAT_VERSION = 1;
+
+/**
+ * @param {string} name
+ * @param {Partial<FluidConfig>} config
+ * @param {Partial<EmitterConfig>[]} emitters
+ * @param {Partial<ModulationRoute>[]} [modulation]
+ * @param {Partial<ColorScheme>} [colorScheme]
+ * @returns {Preset}
+ */
+export function createPreset(name, config, emitters, modulation = [], colorScheme = {}) {
+  return {
+    name,
+    config: createFluidConfig(config),
+    emitters: emitters.map(emitter => createEmitterConfig(JSON.parse(JSON.stringify(emitter)))),
+    modulation: modulation.map(route => createModulationRoute({ ...route })),
+    colorScheme: createColorScheme(colorScheme)
+  };
+}
+
+/** @type {Preset[]} */
+export const BUILT_IN_PRESETS = [
+  createPreset('Default', {}, EMITTER_LAYOUTS.single),
+  // Thick, slow ink with no glow
+  createPreset('Ink', {
+    DENSITY_DISSIPATION: 0.3,
+    VELOCITY_DISSIPATION: 0.5,
+    CURL: 5,
+    SPLAT_RADIUS: 0.4,
+    BLOOM: false,
+    SUNRAYS: false
+  }, EMITTER_LAYOUTS.single, [], { mode: 'palette', palette: PALETTES.ocean, paletteIndex: 'energy' }),
+  // Bright, swirling gas lit from within
+  createPreset('Nebula', {
+    DENSITY_DISSIPATION: 0.6,
+    VELOCITY_DISSIPATION: 0.1,
+    CURL: 45,
+    BLOOM_INTENSITY: 1.4,
+    BLOOM_THRESHOLD: 0.4,
+    SUNRAYS_WEIGHT: 1.2
+  }, EMITTER_LAYOUTS.trio, [
+    // Bass churns the gas, loud passages glow harder
+    { id: 'nebula-bass-curl', source: 'bass', target: 'CURL', depth: 0.4, attack: 0.05, release: 0.6 },
+    { id: 'nebula-volume-bloom', source: 'volume', target: 'BLOOM_INTENSITY', depth: 0.3, curve: 'smooth', attack: 0.2, release: 1 }
+  ], { mode: 'palette', palette: PALETTES.aurora, paletteIndex: 'pitch' }),
+  // Fast, tight strokes that fade quickly, one per band
+  createPreset('Neon', {
+    DENSITY_DISSIPATION: 2.5,
+    VELOCITY_DISSIPATION: 0.4,
+    CURL: 60,
+    SPLAT_RADIUS: 0.12,
+    SHADING: false,
+    BLOOM_INTENSITY: 1.2,
+    SUNRAYS: false
+  }, EMITTER_LAYOUTS.bands, [
+    // Onsets fatten the strokes, treble speeds the emitters up
+    { id: 'neon-onset-radius', source: 'onset', target: 'SPLAT_RADIUS', depth: 0.2, curve: 'exponential', attack: 0, release: 0.15 },
+    { id: 'neon-treble-speed', source: 'treble', target: 'EMITTER_SPEED', depth: 0.5, attack: 0.1, release: 0.5 }
+  ], { mode: 'bands' }),
+  // Pale smoke in a single colour
+  createPreset('Smoke', {
+    DENSITY_DISSIPATION: 0.5,
+    VELOCITY_DISSIPATION: 0.05,
+    CURL: 15,
+    SPLAT_RADIUS: 0.5,
+    BLOOM_INTENSITY: 0.3
+  }, [{ ...EMITTER_LAYOUTS.single[0], force: 60 }], [], { mode: 'monochrome', hue: 0.6, saturation: 0.15 })
+].map(preset => ({ ...preset, builtIn: true }));
+
+/**
+ * Rebuild a preset from untrusted data, filling anything missing from the defaults
+ * @param {any} data
+ * @returns {Preset}
+ */
+export function parsePreset(data) {
+  if (!data || typeof data !== 'object') throw new Error('Preset must be an object');
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('Preset needs a name');
+  if (data.emitters !== undefined && !Array.isArray(data.emitters)) throw new Error('Preset emitters must be an array');
+  if (data.version > PRESET_FORMAT_VERSION) throw new Error(`Unsupported preset version ${data.version}`);
+
+  const emitters = data.emitters?.length ? data.emitters : EMITTER_LAYOUTS.single;
+  return createPreset(
+    data.name.trim(),
+    data.config || {},
+    emitters,
+    parseModulationRoutes(data.modulation),
+    parseColorScheme(data.colorScheme)
+  );
+}
+
+/**
+ * @param {Preset} preset
+ * @returns {string}
+ */
+export function serializePreset(preset) {
+  return JSON.stringify(toPresetData(preset), null, 2);
+}
+
+/**
+ * User presets from localStorage; entries that no longer parse are skipped
+ * @returns {Preset[]}
+ */
+export function loadUserPresets() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.error("Stored presets are not valid JSON", e);
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+
+  return stored.flatMap(data => {
+    try {
+      return [parsePreset(data)];
+    } catch (e) {
+      console.error("Skipping stored preset", e);
+      return [];
+    }
+  });
+}
+
+/**
+ * @param {Preset[]} presets
+ */
+export function saveUserPresets(presets) {
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets.map(toPresetData)));
+}
+
+/**
+ * The stored and exported shape of a preset
+ * @param {Preset} preset
+ * @returns {Object}
+ */
+function toPresetData({ name, config, emitters, modulation, colorScheme }) {
+  // Applying a preset keeps the session settings, so there's no point storing them; the
+  // background and obstacle images among them would soon fill localStorage
+  const look = { ...config };
+  for (const key of SESSION_KEYS) delete look[key];
+  return { version: PRESET_FORMAT_VERSION, name, config: look, emitters, modulation, colorScheme };
+}
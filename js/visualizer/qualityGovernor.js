@@ -0,0 +1,130 @@
+/**
+ * Frame-time governor: watches how long frames take and steps the fluid
+ * down through quality tiers when the device can't keep up, and back up
+ * once it has had headroom for a while. The up and down thresholds are
+ * far apart, and a tier that proves too heavy makes the next attempt at
+ * it wait longer, so quality doesn't oscillate.
+ */
+
+/**
+ * @typedef {import('./fluidConfig.js').FluidConfig} FluidConfig
+ */
+
+/**
+ * Upper limits a tier places on the user's config. Numbers are maxima;
+ * `false` turns an effect off. Keys a tier doesn't mention are left alone.
+ * @typedef {Partial<Pick<FluidConfig, 'SIM_RESOLUTION' | 'DYE_RESOLUTION' | 'PRESSURE_ITERATIONS' | 'BLOOM_ITERATIONS' | 'BLOOM' | 'SUNRAYS' | 'SHADING'>>} QualityTier
+ */
+
+/** @type {Readonly<QualityTier>[]} Highest quality first; tier 0 is the config as set */
+export const QUALITY_TIERS = Object.freeze([
+  Object.freeze({}),
+  Object.freeze({ DYE_RESOLUTION: 512, PRESSURE_ITERATIONS: 15, BLOOM_ITERATIONS: 6 }),
+  Object.freeze({ SIM_RESOLUTION: 64, DYE_RESOLUTION: 512, PRESSURE_ITERATIONS: 10, BLOOM_ITERATIONS: 4, SUNRAYS: false }),
+  Object.freeze({ SIM_RESOLUTION: 64, DYE_RESOLUTION: 256, PRESSURE_ITERATIONS: 8, BLOOM: false, SUNRAYS: false }),
+  Object.freeze({ SIM_RESOLUTION: 32, DYE_RESOLUTION: 256, PRESSURE_ITERATIONS: 6, BLOOM: false, SUNRAYS: false, SHADING: false })
+]);
+
+// Below this the tier drops; above UPGRADE_FPS it may rise again
+const DOWNGRADE_FPS = 45;
+const UPGRADE_FPS = 57;
+
+// Seconds the frame rate has to stay past a threshold before the tier changes
+const DOWNGRADE_DELAY = 2;
+const INITIAL_UPGRADE_DELAY = 5;
+const MAX_UPGRADE_DELAY = 60;
+
+// A downgrade this soon after an upgrade means the upgrade was too ambitious
+const UPGRADE_PROBATION = 10;
+
+// Seconds to ignore after a change while framebuffers rebuild and the average settles
+const SETTLE_TIME = 1;
+
+// Longer frames are hitches or a hidden tab, not a measure of load
+const MAX_SAMPLE = 0.25;
+
+// Smoothing of the frame time average
+const SMOOTHING = 0.05;
+
+/**
+ * Apply a tier's limits to a config, in place
+ * @param {FluidConfig} config
+ * @param {number} tier - Index into QUALITY_TIERS
+ * @returns {FluidConfig}
+ */
+export function limitQuality(config, tier) {
+  const limits = QUALITY_TIERS[tier] || QUALITY_TIERS[0];
+  for (const [key, limit] of Object.entries(limits)) {
+    if (typeof limit === 'number') config[key] = Math.min(config[key], limit);
+    else config[key] = config[key] && limit;
+  }
+  return config;
+}
+
+export class QualityGovernor {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tier = 0;
+    /** Smoothed frame time in seconds */
+    this.frameTime = 1 / 60;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.settleTime = SETTLE_TIME;
+    this.upgradeDelay = INITIAL_UPGRADE_DELAY;
+    this.sinceUpgrade = Infinity;
+  }
+
+  /** @returns {number} */
+  get fps() {
+    return 1 / this.frameTime;
+  }
+
+  /**
+   * Record one frame
+   * @param {number} frameTime - Seconds since the previous frame
+   * @param {boolean} [adapt] - false only measures, leaving the tier alone
+   * @returns {boolean} Whether the tier changed
+   */
+  sample(frameTime, adapt = true) {
+    if (frameTime <= 0 || frameTime > MAX_SAMPLE) return false;
+    this.frameTime += (frameTime - this.frameTime) * SMOOTHING;
+    if (!adapt) return false;
+    this.sinceUpgrade += frameTime;
+
+    if (this.settleTime > 0) {
+      this.settleTime -= frameTime;
+      return false;
+    }
+
+    const fps = this.fps;
+    this.slowTime = fps < DOWNGRADE_FPS ? this.slowTime + frameTime : 0;
+    this.fastTime = fps > UPGRADE_FPS ? this.fastTime + frameTime : 0;
+
+    if (this.slowTime >= DOWNGRADE_DELAY && this.tier < QUALITY_TIERS.length - 1) {
+      if (this.sinceUpgrade < UPGRADE_PROBATION) {
+        this.upgradeDelay = Math.min(this.upgradeDelay * 2, MAX_UPGRADE_DELAY);
+      }
+      this.setTier(this.tier + 1);
+      return true;
+    }
+    if (this.fastTime >= this.upgradeDelay && this.tier > 0) {
+      this.setTier(this.tier - 1);
+      this.sinceUpgrade = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {number} tier
+   */
+  setTier(tier) {
+    this.tier = tier;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.settleTime = SETTLE_TIME;
+  }
+}
@@ -0,0 +1,137 @@
+import { SpectrumAnalyser } from '../services/audioAnalysis.js';
+import { FeatureExtractor, getMetricsViews, publishMetrics } from '../services/featureExtractor.js';
+
+/**
+ * AudioWorklet side of the AudioManager analysis. Buffers the input,
+ * computes spectra in software and runs the shared FeatureExtractor about
+ * 60 times a second. Each analysis is spread over a few consecutive render
+ * quanta so no single one has to fit all of it. Metrics go out through the shared buffer when the
+ * main thread provided one, through the message port otherwise; onset and
+ * beat events always use the port.
+ *
+ * `sampleRate` and `currentTime` are AudioWorkletGlobalScope globals.
+ */
+
+// Analysis frames per second, roughly one per display frame
+const ANALYSIS_RATE = 60;
+
+// Render quanta one analysis is spread over: the main spectra, the pitch spectrum, then feature extraction
+const ANALYSIS_STAGES = 3;
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {{ processorOptions: { options: import('../services/audioManager.js').AudioAnalysisOptions, metricsBuffer: SharedArrayBuffer | null } }} nodeOptions
+   */
+  constructor({ processorOptions }) {
+    super();
+    const { options, metricsBuffer } = processorOptions;
+
+    this.sharedViews = metricsBuffer ? getMetricsViews(metricsBuffer) : null;
+    /** @type {FeatureExtractor | null} */
+    this.extractor = null;
+    this.configure(options);
+
+    this.port.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'configure') this.configure(message.options);
+      else if (message.type === 'reset') this.extractor.reset();
+    };
+  }
+
+  /**
+   * @param {import('../services/audioManager.js').AudioAnalysisOptions} options
+   */
+  configure(options) {
+    const { fftSize, smoothingTimeConstant, pitchWindowSize } = options;
+    this.options = options;
+
+    // The ring holds enough history for the larger of the two windows
+    this.ringSize = Math.max(fftSize, pitchWindowSize);
+    this.ring = new Float32Array(this.ringSize);
+    this.window = new Float32Array(this.ringSize);
+    this.fftWindow = this.window.subarray(this.ringSize - fftSize);
+    this.timeDomain = this.window.subarray(this.ringSize - pitchWindowSize);
+    this.writeIndex = 0;
+    // The window is only copied at the start of an analysis, so a hop has to outlast all its stages
+    this.hopSize = Math.max(128 * ANALYSIS_STAGES, Math.round(sampleRate / ANALYSIS_RATE));
+    this.samplesSinceAnalysis = 0;
+    // 0 when idle, otherwise the next stage of the analysis in progress
+    this.stage = 0;
+    this.analysisTime = 0;
+
+    this.spectrumAnalyser = new SpectrumAnalyser(fftSize, smoothingTimeConstant);
+    this.pitchAnalyser = new SpectrumAnalyser(pitchWindowSize, 0);
+    this.spectrum = new Uint8Array(fftSize / 2);
+    this.fluxSpectrum = new Uint8Array(fftSize / 2);
+    this.pitchSpectrum = new Uint8Array(pitchWindowSize / 2);
+
+    if (this.extractor) this.extractor.configure(options);
+    else this.extractor = new FeatureExtractor(options, sampleRate);
+  }
+
+  /**
+   * @param {Float32Array[][]} inputs
+   * @returns {boolean}
+   */
+  process(inputs) {
+    const channels = inputs[0];
+    const frames = channels.length ? channels[0].length : 128;
+
+    // Downmix to mono; no connected input counts as silence so envelopes still decay
+    for (let i = 0; i < frames; i++) {
+      let sample = 0;
+      for (let c = 0; c < channels.length; c++) sample += channels[c][i];
+      this.ring[this.writeIndex] = channels.length ? sample / channels.length : 0;
+      this.writeIndex = (this.writeIndex + 1) % this.ringSize;
+    }
+
+    this.samplesSinceAnalysis += frames;
+    if (this.stage === 0 && this.samplesSinceAnalysis >= this.hopSize) {
+      this.samplesSinceAnalysis = 0;
+      this.stage = 1;
+    }
+    if (this.stage > 0) this.analyze();
+
+    return true;
+  }
+
+  /**
+   * Run the next stage of the current analysis
+   */
+  analyze() {
+    switch (this.stage) {
+      case 1: {
+        // Unroll the ring so the newest sample is last
+        const { ring, window, ringSize, writeIndex } = this;
+        for (let i = 0; i < ringSize; i++) window[i] = ring[(writeIndex + i) % ringSize];
+        this.analysisTime = currentTime;
+
+        // The flux spectrum is the same transform without smoothing
+        this.spectrumAnalyser.getByteFrequencyData(this.fftWindow, this.spectrum, this.fluxSpectrum);
+        break;
+      }
+      case 2:
+        this.pitchAnalyser.getByteFrequencyData(this.timeDomain, this.pitchSpectrum);
+        break;
+      default: {
+        const { metrics, events } = this.extractor.process({
+          time: this.analysisTime,
+          spectrum: this.spectrum,
+          fluxSpectrum: this.fluxSpectrum,
+          timeDomain: this.timeDomain,
+          pitchSpectrum: this.pitchSpectrum
+        });
+
+        if (this.sharedViews) publishMetrics(this.sharedViews, metrics);
+        else this.port.postMessage({ type: 'metrics', metrics });
+
+        for (const event of events) this.port.postMessage({ type: 'event', event });
+        this.stage = 0;
+        return;
+      }
+    }
+    this.stage++;
+  }
+}
+
+registerProcessor('echo-flume-analysis', AnalysisProcessor);